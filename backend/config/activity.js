@@ -0,0 +1,111 @@
+const { supabaseAdmin, createRequestClient } = require('./supabase');
+
+// Per-user security activity log (public.user_activity, readable by its owner)
+// Rows are written with the service role only, so users cannot forge or remove entries
+// Without SUPABASE_SERVICE_ROLE_KEY nothing is recorded
+const ACTIVITY_TYPES = [
+  'LOGIN',
+  'LOGIN_FAILED',
+  'LOGOUT',
+  'PROFILE_UPDATED',
+  'PASSWORD_CHANGED',
+  'MFA_ENROLLMENT_STARTED',
+  'MFA_VERIFIED',
+  'MFA_VERIFY_FAILED',
+  'MFA_FACTOR_REMOVED',
+  'SESSION_REVOKED',
+  'OTHER_SESSIONS_REVOKED',
+  'DATA_EXPORTED'
+];
+
+if (!supabaseAdmin) {
+  console.warn('⚠️  SUPABASE_SERVICE_ROLE_KEY not defined - account activity will not be recorded');
+}
+
+// Record an activity for a user
+// Never throws - callers do not wait for it and a failed write must not fail the request
+const recordActivity = async (userId, type, { ip, userAgent, description, metadata } = {}) => {
+  if (!supabaseAdmin || !userId) return { success: false, error: 'Activity logging unavailable' };
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('user_activity')
+      .insert({
+        user_id: userId,
+        activity_type: type,
+        description: description || null,
+        ip_address: ip || null,
+        user_agent: userAgent ? userAgent.substring(0, 500) : null,
+        metadata: metadata || null
+      });
+
+    if (error) {
+      console.error('Record activity error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Record activity exception:', error);
+    return { success: false, error: 'Failed to record activity' };
+  }
+};
+
+// Record an activity for the account with this email (failed logins, where no session exists)
+// Emails without an account are ignored - there is nobody to show the entry to
+const recordActivityByEmail = async (email, type, details = {}) => {
+  if (!supabaseAdmin) return { success: false, error: 'Activity logging unavailable' };
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id')
+      .eq('email', String(email).trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Activity user lookup error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return data ? recordActivity(data.id, type, details) : { success: false, error: 'Unknown account' };
+  } catch (error) {
+    console.error('Activity user lookup exception:', error);
+    return { success: false, error: 'Failed to record activity' };
+  }
+};
+
+// Page through the caller's own activity, newest first (RLS limits rows to the caller)
+// Filters: types (array of ACTIVITY_TYPES), since / until (ISO 8601)
+const listUserActivity = async (accessToken, { page = 1, perPage = 20, types, since, until } = {}) => {
+  try {
+    let query = createRequestClient(accessToken)
+      .from('user_activity')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * perPage, page * perPage - 1);
+
+    if (types && types.length > 0) query = query.in('activity_type', types);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lte('created_at', until);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('List activity error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, activities: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('List activity exception:', error);
+    return { success: false, error: 'Failed to list activity' };
+  }
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  recordActivity,
+  recordActivityByEmail,
+  listUserActivity
+};
@@ -0,0 +1,71 @@
+// In-process LRU cache with per-entry TTL and hit/miss metrics
+// Map keeps insertion order, so re-inserting on access makes the first key the least recently used
+class LRUCache {
+  constructor(options = {}) {
+    this.name = options.name || 'cache';
+    this.maxSize = options.maxSize || 1000;
+    this.ttlMs = options.ttlMs || 60 * 1000;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    // Evict least recently used entries beyond capacity
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this.stats.invalidations++;
+      return true;
+    }
+    return false;
+  }
+
+  clear() {
+    this.stats.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      name: this.name,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttlSeconds: this.ttlMs / 1000,
+      ...this.stats,
+      hitRate: lookups ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,31 @@
+// Short human-readable labels for user agent strings (session and activity lists)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux|X11/]
+];
+
+// "Browser on OS" label for a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return 'Unknown device';
+  if (!platform) return browser[0];
+  if (!browser) return platform[0];
+  return `${browser[0]} on ${platform[0]}`;
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Local verification of Supabase access tokens (no auth server round trip)
+// Key material, in order of preference:
+//   SUPABASE_JWT_SECRET - legacy shared secret, verifies HS256 tokens
+//   JWKS                - the project's asymmetric signing keys (ES256/RS256), fetched and cached
+const supabaseUrl = process.env.SUPABASE_URL;
+const JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const JWT_ISSUER = process.env.SUPABASE_JWT_ISSUER || (supabaseUrl && `${supabaseUrl.replace(/\/$/, '')}/auth/v1`);
+const JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const JWKS_URL = process.env.SUPABASE_JWKS_URL || (supabaseUrl && `${supabaseUrl.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json`);
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000; // Refresh keys every 10 minutes
+const JWKS_MIN_REFETCH_MS = 30 * 1000; // Unknown kid refetches are throttled to one per 30s
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' } // JWS carries the raw r||s signature
+};
+
+// Cached signing keys: kid -> KeyObject
+const jwksCache = {
+  keys: new Map(),
+  fetchedAt: 0,
+  pending: null
+};
+
+const fetchJwks = async () => {
+  const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const parsed = new Map();
+  for (const jwk of keys) {
+    if (!jwk.kid || !ALGORITHMS[jwk.alg]) continue;
+    try {
+      parsed.set(jwk.kid, { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+    } catch (error) {
+      console.error('⚠️  Skipping unusable JWKS key:', jwk.kid, error.message);
+    }
+  }
+
+  jwksCache.keys = parsed;
+  jwksCache.fetchedAt = Date.now();
+  console.log(`🔑 Loaded ${parsed.size} JWT signing key(s) from JWKS`);
+};
+
+// Look up a signing key, refreshing the cache when it is stale or the kid is unknown (key rotation)
+const getSigningKey = async (kid) => {
+  const age = Date.now() - jwksCache.fetchedAt;
+  const shouldFetch = age > JWKS_CACHE_TTL_MS || (!jwksCache.keys.has(kid) && age > JWKS_MIN_REFETCH_MS);
+
+  if (shouldFetch && JWKS_URL) {
+    // Concurrent requests share one fetch
+    jwksCache.pending = jwksCache.pending || fetchJwks().finally(() => {
+      jwksCache.pending = null;
+    });
+
+    try {
+      await jwksCache.pending;
+    } catch (error) {
+      console.error('⚠️  JWKS refresh failed:', error.message);
+      jwksCache.fetchedAt = Date.now(); // Back off, keep serving cached keys
+    }
+  }
+
+  return jwksCache.keys.get(kid) || null;
+};
+
+const parseSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString());
+
+// Check exp / nbf / iss / aud / sub of verified claims
+const validateClaims = (claims) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS <= now) {
+    return 'Token has expired';
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    return 'Token is not valid yet';
+  }
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) {
+    return 'Invalid token issuer';
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(JWT_AUDIENCE)) {
+    return 'Invalid token audience';
+  }
+  if (!claims.sub) {
+    return 'Token has no subject';
+  }
+
+  return null;
+};
+
+// Verify signature and claims of an access token
+// Returns { success, claims } or { success: false, error }; unavailable: true means no key
+// material could check this token, so the caller should fall back to the auth server
+const verifyAccessToken = async (token) => {
+  try {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      return { success: false, error: 'Malformed token' };
+    }
+
+    const [headerB64, payloadB64, signatureB64] = parts;
+    const header = parseSegment(headerB64);
+    const signingInput = Buffer.from(`${headerB64}.${payloadB64}`);
+    const signature = Buffer.from(signatureB64, 'base64url');
+
+    let valid;
+    if (header.alg === 'HS256') {
+      if (!JWT_SECRET) {
+        return { success: false, unavailable: true, error: 'No JWT secret configured for HS256 tokens' };
+      }
+      const expected = crypto.createHmac('sha256', JWT_SECRET).update(signingInput).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else if (ALGORITHMS[header.alg]) {
+      const signingKey = await getSigningKey(header.kid);
+      if (!signingKey) {
+        return { success: false, unavailable: true, error: 'Signing key not found' };
+      }
+      if (signingKey.alg !== header.alg) {
+        return { success: false, error: 'Token algorithm does not match signing key' };
+      }
+      const { hash, dsaEncoding } = ALGORITHMS[header.alg];
+      valid = crypto.verify(hash, signingInput, { key: signingKey.key, dsaEncoding }, signature);
+    } else {
+      // Rejects alg "none" and anything we do not expect
+      return { success: false, error: `Unsupported token algorithm: ${header.alg}` };
+    }
+
+    if (!valid) {
+      return { success: false, error: 'Invalid token signature' };
+    }
+
+    const claims = parseSegment(payloadB64);
+    const claimError = validateClaims(claims);
+    if (claimError) {
+      return { success: false, error: claimError };
+    }
+
+    return { success: true, claims };
+  } catch (error) {
+    console.error('Local token verification exception:', error.message);
+    return { success: false, error: 'Malformed token' };
+  }
+};
+
+// Build the user shape of supabase.auth.getUser() from verified claims
+// Claims carry no timestamps or MFA factors - routes that need those use strict verification
+const userFromClaims = (claims) => ({
+  id: claims.sub,
+  aud: claims.aud,
+  role: claims.role,
+  email: claims.email,
+  phone: claims.phone,
+  app_metadata: claims.app_metadata || {},
+  user_metadata: claims.user_metadata || {},
+  is_anonymous: !!claims.is_anonymous
+});
+
+module.exports = {
+  verifyAccessToken,
+  userFromClaims
+};
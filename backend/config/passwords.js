@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+const { LRUCache } = require('./cache');
+const { passwordPolicyValidator } = require('./policy');
+
+// Compromised-password screening with the k-anonymity range protocol (Pwned Passwords API):
+// only the first 5 hex characters of the password's SHA-1 hash leave the server, the endpoint
+// answers with every known hash suffix in that range and the match happens locally
+// Mode: "range" (endpoint + offline list), "offline" (offline list only, no network) or "off"
+const BREACH_CHECK_MODE = ['range', 'offline', 'off'].includes(process.env.BREACHED_PASSWORD_CHECK)
+  ? process.env.BREACHED_PASSWORD_CHECK
+  : 'range';
+const RANGE_URL = (process.env.PWNED_PASSWORDS_RANGE_URL || 'https://api.pwnedpasswords.com/range/').replace(/\/?$/, '/');
+const RANGE_TIMEOUT_MS = parseInt(process.env.PWNED_PASSWORDS_TIMEOUT_MS) || 3000;
+
+// Offline lists: the bundled common-password list plus an optional downloaded one
+// Format: upper-case SHA-1 hashes, one per line, optionally "HASH:COUNT" (the Pwned Passwords download format)
+const BUNDLED_LIST = path.join(__dirname, 'breached-passwords.txt');
+const EXTRA_LIST = process.env.BREACHED_PASSWORDS_FILE;
+
+const HASH_LINE = /^([0-9A-F]{40})(?::(\d+))?$/;
+const RANGE_PREFIX = /^[0-9A-F]{5}$/;
+
+// prefix (5 chars) -> Set of hash suffixes (35 chars)
+const offlineRanges = new Map();
+
+const loadHashList = (file) => {
+  let count = 0;
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+  for (const line of lines) {
+    const match = HASH_LINE.exec(line.trim().toUpperCase());
+    if (!match || match[2] === '0') continue;
+
+    const prefix = match[1].substring(0, 5);
+    if (!offlineRanges.has(prefix)) offlineRanges.set(prefix, new Set());
+    offlineRanges.get(prefix).add(match[1].substring(5));
+    count++;
+  }
+
+  return count;
+};
+
+if (BREACH_CHECK_MODE !== 'off') {
+  for (const file of [BUNDLED_LIST, EXTRA_LIST].filter(Boolean)) {
+    try {
+      console.log(`🔐 Loaded ${loadHashList(file)} breached password hashes from ${path.basename(file)}`);
+    } catch (error) {
+      console.error(`❌ Could not load breached password list ${file}:`, error.message);
+    }
+  }
+} else {
+  console.warn('⚠️  BREACHED_PASSWORD_CHECK=off - compromised passwords are not rejected');
+}
+
+// Range responses change rarely - cache them to save round trips for popular prefixes
+const rangeCache = new LRUCache({
+  name: 'pwned-ranges',
+  maxSize: parseInt(process.env.PWNED_PASSWORDS_CACHE_MAX_ENTRIES) || 2000,
+  ttlMs: 60 * 60 * 1000
+});
+
+const sha1Hex = (password) => crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+
+// Fetch the suffixes the range endpoint knows for a prefix
+// Padding entries (count 0, requested so the response size does not reveal the range) are dropped
+const fetchRemoteRange = async (prefix) => {
+  const cached = rangeCache.get(prefix);
+  if (cached) return { success: true, suffixes: cached };
+
+  try {
+    const response = await fetch(`${RANGE_URL}${prefix}`, {
+      headers: { 'Add-Padding': 'true', 'User-Agent': 'websecurity-backend' },
+      signal: AbortSignal.timeout(RANGE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      console.error('Breached password range error:', response.status);
+      return { success: false, error: `Range endpoint returned ${response.status}` };
+    }
+
+    const suffixes = new Set();
+    for (const line of (await response.text()).split(/\r?\n/)) {
+      const [suffix, count] = line.trim().toUpperCase().split(':');
+      if (suffix && suffix.length === 35 && count !== '0') suffixes.add(suffix);
+    }
+
+    rangeCache.set(prefix, suffixes);
+    return { success: true, suffixes };
+  } catch (error) {
+    console.error('Breached password range exception:', error.message);
+    return { success: false, error: 'Range endpoint unavailable' };
+  }
+};
+
+// Every known breached hash suffix for a 5 character SHA-1 prefix (offline list + endpoint)
+// complete is false when the endpoint should have been asked but could not be reached
+const getBreachedRange = async (prefix) => {
+  prefix = String(prefix).toUpperCase();
+  if (!RANGE_PREFIX.test(prefix)) {
+    return { success: false, error: 'Prefix must be 5 hexadecimal characters' };
+  }
+
+  const suffixes = new Set(offlineRanges.get(prefix) || []);
+  if (BREACH_CHECK_MODE !== 'range') {
+    return { success: true, suffixes, complete: BREACH_CHECK_MODE === 'offline' };
+  }
+
+  const remote = await fetchRemoteRange(prefix);
+  if (remote.success) remote.suffixes.forEach(suffix => suffixes.add(suffix));
+
+  return { success: true, suffixes, complete: remote.success };
+};
+
+// Check one password; fails open when only the endpoint is unreachable (the offline list still applies)
+const isPasswordBreached = async (password) => {
+  if (BREACH_CHECK_MODE === 'off') return { breached: false, checked: false };
+
+  const hash = sha1Hex(password);
+  const range = await getBreachedRange(hash.substring(0, 5));
+
+  return {
+    breached: range.success && range.suffixes.has(hash.substring(5)),
+    checked: range.success && range.complete
+  };
+};
+
+const BREACHED_PASSWORD_MESSAGE = 'This password has appeared in a data breach and cannot be used. Please choose a different password.';
+
+// Password rules shared by every route that sets a password: the policy first, then the breach check
+const passwordRules = (field) => body(field)
+  .isString()
+  .withMessage('Password is required')
+  .bail()
+  .custom(passwordPolicyValidator)
+  .bail()
+  .custom(async (password) => {
+    const result = await isPasswordBreached(password);
+    if (result.breached) throw new Error(BREACHED_PASSWORD_MESSAGE);
+    return true;
+  });
+
+module.exports = {
+  BREACH_CHECK_MODE,
+  getBreachedRange,
+  isPasswordBreached,
+  passwordRules
+};
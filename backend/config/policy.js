@@ -0,0 +1,144 @@
+// Password and username policy - the one definition used by the Express validators and,
+// through GET /api/policy, by the frontend forms (plus the avatar host allowlist)
+// Rules are plain data (regex sources, messages) so the browser can describe them; only this module checks them
+
+const csvList = (value, fallback) => (value ? value.split(',') : fallback)
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+// Supabase Auth (bcrypt) only uses the first 72 characters of a password
+const PASSWORD_MAX_LENGTH = Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || 72, 72);
+
+const PASSWORD_CHARACTER_CLASSES = [
+  { id: 'lowercase', pattern: '[a-z]', label: 'One lowercase letter' },
+  { id: 'uppercase', pattern: '[A-Z]', label: 'One uppercase letter' },
+  { id: 'number', pattern: '\\d', label: 'One number' },
+  { id: 'symbol', pattern: '[^A-Za-z0-9]', label: 'One special character' }
+];
+
+// PASSWORD_REQUIRED_CLASSES: comma separated ids from PASSWORD_CHARACTER_CLASSES
+const PASSWORD_REQUIRED_CLASSES = csvList(process.env.PASSWORD_REQUIRED_CLASSES, ['lowercase', 'uppercase', 'number'])
+  .filter(id => PASSWORD_CHARACTER_CLASSES.some(characterClass => characterClass.id === id));
+
+const PASSWORD_POLICY = {
+  minLength: PASSWORD_MIN_LENGTH,
+  maxLength: PASSWORD_MAX_LENGTH,
+  requirements: PASSWORD_CHARACTER_CLASSES.filter(characterClass => PASSWORD_REQUIRED_CLASSES.includes(characterClass.id)),
+  // Case-insensitive substrings a password may not contain
+  bannedWords: csvList(process.env.PASSWORD_BANNED_WORDS, ['password', 'passw0rd', 'qwerty', 'letmein', 'welcome', 'admin', 'changeme']),
+  // Reject passwords containing the username or the local part of the email
+  disallowPersonalInfo: process.env.PASSWORD_ALLOW_PERSONAL_INFO !== 'true'
+};
+
+const USERNAME_POLICY = {
+  minLength: parseInt(process.env.USERNAME_MIN_LENGTH) || 3,
+  maxLength: parseInt(process.env.USERNAME_MAX_LENGTH) || 30,
+  pattern: '^[a-zA-Z0-9_]+$',
+  patternMessage: 'Username can only contain letters, numbers, and underscores',
+  // Names that could pass for staff or system accounts (case-insensitive)
+  reserved: csvList(process.env.USERNAME_RESERVED, ['admin', 'administrator', 'root', 'system', 'support', 'moderator', 'security', 'api', 'null', 'undefined'])
+};
+
+// Hosts avatar images may be served from (subdomains included): Supabase Storage and common avatar services
+// Also the image sources the Content-Security-Policy allows
+const AVATAR_ALLOWED_HOSTS = csvList(process.env.AVATAR_ALLOWED_HOSTS, [
+  process.env.SUPABASE_URL && new URL(process.env.SUPABASE_URL).hostname,
+  'gravatar.com',
+  'avatars.githubusercontent.com',
+  'googleusercontent.com'
+].filter(Boolean));
+
+const isAllowedAvatarHost = (url) => {
+  const hostname = new URL(url).hostname.toLowerCase();
+  return AVATAR_ALLOWED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+// Every rule a password breaks, as messages (empty when it is acceptable)
+// username / email: of the account the password is for (personal-information rule)
+const checkPassword = (password, { username, email } = {}) => {
+  const value = String(password || '');
+  const lowered = value.toLowerCase();
+  const failures = [];
+
+  if (value.length < PASSWORD_POLICY.minLength) {
+    failures.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (value.length > PASSWORD_POLICY.maxLength) {
+    failures.push(`Password must be at most ${PASSWORD_POLICY.maxLength} characters long`);
+  }
+
+  const missing = PASSWORD_POLICY.requirements.filter(requirement => !new RegExp(requirement.pattern).test(value));
+  if (missing.length > 0) {
+    failures.push(`Password must contain ${missing.map(requirement => requirement.label.toLowerCase()).join(', ')}`);
+  }
+
+  const bannedWord = PASSWORD_POLICY.bannedWords.find(word => lowered.includes(word));
+  if (bannedWord) {
+    failures.push(`Password must not contain "${bannedWord}"`);
+  }
+
+  if (PASSWORD_POLICY.disallowPersonalInfo) {
+    const personal = [username, String(email || '').split('@')[0]]
+      .map(item => String(item || '').toLowerCase())
+      .filter(item => item.length >= 3);
+    if (personal.some(item => lowered.includes(item))) {
+      failures.push('Password must not contain your username or email address');
+    }
+  }
+
+  return failures;
+};
+
+// Every rule a username breaks, as messages (empty when it is acceptable)
+const checkUsername = (username) => {
+  const value = String(username || '');
+  const failures = [];
+
+  if (value.length < USERNAME_POLICY.minLength || value.length > USERNAME_POLICY.maxLength) {
+    failures.push(`Username must be ${USERNAME_POLICY.minLength}-${USERNAME_POLICY.maxLength} characters long`);
+  }
+  if (!new RegExp(USERNAME_POLICY.pattern).test(value)) {
+    failures.push(USERNAME_POLICY.patternMessage);
+  }
+  if (USERNAME_POLICY.reserved.includes(value.toLowerCase())) {
+    failures.push('This username is reserved');
+  }
+
+  return failures;
+};
+
+// express-validator custom validators: report the first broken rule
+// The password check reads the username / email from the same request body when present
+const passwordPolicyValidator = (password, { req }) => {
+  const failures = checkPassword(password, {
+    username: req.body?.username || req.user?.username,
+    email: req.body?.email || req.user?.email
+  });
+  if (failures.length > 0) throw new Error(failures[0]);
+  return true;
+};
+
+const usernamePolicyValidator = (username) => {
+  const failures = checkUsername(username);
+  if (failures.length > 0) throw new Error(failures[0]);
+  return true;
+};
+
+// The policy as served to clients
+const getPublicPolicy = () => ({
+  password: PASSWORD_POLICY,
+  username: USERNAME_POLICY
+});
+
+module.exports = {
+  PASSWORD_POLICY,
+  USERNAME_POLICY,
+  AVATAR_ALLOWED_HOSTS,
+  checkPassword,
+  checkUsername,
+  passwordPolicyValidator,
+  usernamePolicyValidator,
+  isAllowedAvatarHost,
+  getPublicPolicy
+};
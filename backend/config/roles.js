@@ -0,0 +1,63 @@
+// Roles and the permissions they grant
+// Roles are ordered - each role has every permission of the roles below it
+const ROLE_HIERARCHY = ['user', 'moderator', 'admin'];
+
+const DEFAULT_ROLE = 'user';
+
+const ROLE_PERMISSIONS = {
+  user: [
+    'profile:read',
+    'profile:update'
+  ],
+  moderator: [
+    'users:read',
+    'security:read'
+  ],
+  admin: [
+    'users:manage',
+    'roles:manage',
+    'lockouts:manage',
+    'metrics:read'
+  ]
+};
+
+const isValidRole = (role) => ROLE_HIERARCHY.includes(role);
+
+// Position in the hierarchy (-1 for unknown roles)
+const getRoleLevel = (role) => ROLE_HIERARCHY.indexOf(role);
+
+// Every permission of a role, including inherited ones
+const getPermissions = (role) => {
+  const level = getRoleLevel(role);
+  if (level < 0) return [];
+
+  return ROLE_HIERARCHY
+    .slice(0, level + 1)
+    .flatMap(inheritedRole => ROLE_PERMISSIONS[inheritedRole]);
+};
+
+// Whether a role is at least the required role
+const hasRole = (role, requiredRole) => {
+  const level = getRoleLevel(role);
+  return level >= 0 && level >= getRoleLevel(requiredRole);
+};
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+// Effective role of a user
+// app_metadata.role (only writable with the service role key, carried in the JWT) wins over
+// profiles.role (guarded by a database trigger); anything unknown falls back to the default
+const resolveRole = (supabaseUser, profile) => {
+  const candidates = [supabaseUser?.app_metadata?.role, profile?.role];
+  return candidates.find(isValidRole) || DEFAULT_ROLE;
+};
+
+module.exports = {
+  ROLE_HIERARCHY,
+  DEFAULT_ROLE,
+  isValidRole,
+  getPermissions,
+  hasRole,
+  hasPermission,
+  resolveRole
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared counter / key-value store for rate limiting and login lockout
+// Selected with RATE_LIMIT_STORE:
+//   memory - per process, wiped on restart (default)
+//   file   - JSON file on disk, survives restarts of a single process
+//   redis  - any Redis-protocol server (REDIS_URL), shared by every process
+//
+// Every backend implements:
+//   increment(key, windowMs) -> { count, resetTime }   fixed-window counter
+//   decrement(key), resetKey(key)
+//   get(key) -> value | null, set(key, value, ttlMs), delete(key)   JSON values with expiry
+
+const STORE_TYPE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+const STORE_FILE = process.env.RATE_LIMIT_STORE_FILE || path.join(__dirname, '../data/rate-limits.json');
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const KEY_PREFIX = process.env.STORE_KEY_PREFIX || 'websecurity:';
+
+// In-process store - entries are { value, expiresAt }
+class MemoryStore {
+  constructor() {
+    this.type = 'memory';
+    this.entries = new Map();
+
+    // Sweep expired entries so idle keys do not pile up
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  write(key, value, expiresAt) {
+    this.entries.set(key, { value, expiresAt });
+    this.changed();
+  }
+
+  // Hook for persistent subclasses
+  changed() {}
+
+  async increment(key, windowMs) {
+    const entry = this.read(key);
+    const count = entry ? entry.value + 1 : 1;
+    const expiresAt = entry ? entry.expiresAt : Date.now() + windowMs;
+
+    this.write(key, count, expiresAt);
+    return { count, resetTime: new Date(expiresAt) };
+  }
+
+  async decrement(key) {
+    const entry = this.read(key);
+    if (entry && entry.value > 0) {
+      this.write(key, entry.value - 1, entry.expiresAt);
+    }
+  }
+
+  async resetKey(key) {
+    await this.delete(key);
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.write(key, value, ttlMs ? Date.now() + ttlMs : null);
+  }
+
+  async delete(key) {
+    if (this.entries.delete(key)) this.changed();
+  }
+
+  cleanup() {
+    for (const key of this.entries.keys()) {
+      this.read(key);
+    }
+  }
+}
+
+// Memory store persisted to a JSON file (writes are batched)
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.type = 'file';
+    this.filePath = filePath;
+    this.saveTimer = null;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [key, entry] of Object.entries(saved)) {
+        this.entries.set(key, entry);
+      }
+      this.cleanup();
+      console.log(`💾 Loaded ${this.entries.size} rate limit entries from:`, filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Could not read rate limit store file, starting empty:', error.message);
+      }
+    }
+
+    // Flush pending writes on shutdown
+    process.on('exit', () => this.flush());
+  }
+
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written file
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.entries)));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('⚠️  Could not write rate limit store file:', error.message);
+    }
+  }
+}
+
+// INCR that starts the expiry window on the first hit, returns [count, ttl in ms]
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Redis-protocol store shared by every server process
+class RedisStore {
+  constructor(url) {
+    // Loaded lazily so the redis package is only needed when this store is selected
+    const { createClient } = require('redis');
+
+    this.type = 'redis';
+    this.client = createClient({
+      url,
+      // Fail fast while disconnected instead of queueing requests behind a dead server
+      disableOfflineQueue: true,
+      socket: {
+        // Back off up to 5s between reconnects
+        reconnectStrategy: (retries) => Math.min(retries * 200, 5000)
+      }
+    });
+
+    this.client.on('error', (error) => {
+      console.error('⚠️  Redis store error:', error.message);
+    });
+    this.client.on('ready', () => {
+      console.log('✅ Redis store connected:', url.replace(/\/\/[^@]*@/, '//***@'));
+    });
+
+    this.ready = this.client.connect().catch((error) => {
+      console.error('❌ Redis store connection failed:', error.message);
+    });
+  }
+
+  ensureReady() {
+    if (!this.client.isReady) {
+      throw new Error('Redis store is not connected');
+    }
+  }
+
+  async increment(key, windowMs) {
+    this.ensureReady();
+    const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [key],
+      arguments: [String(windowMs)]
+    });
+
+    return { count, resetTime: new Date(Date.now() + (ttl > 0 ? ttl : windowMs)) };
+  }
+
+  async decrement(key) {
+    this.ensureReady();
+    // Never go below zero or create a key without expiry
+    const count = await this.client.decr(key);
+    if (count <= 0) await this.client.del(key);
+  }
+
+  async resetKey(key) {
+    this.ensureReady();
+    await this.client.del(key);
+  }
+
+  async get(key) {
+    this.ensureReady();
+    const value = await this.client.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.ensureReady();
+    await this.client.set(key, JSON.stringify(value), ttlMs ? { PX: Math.ceil(ttlMs) } : {});
+  }
+
+  async delete(key) {
+    this.ensureReady();
+    await this.client.del(key);
+  }
+}
+
+const createStore = (type) => {
+  switch (type) {
+    case 'redis':
+      return new RedisStore(REDIS_URL);
+    case 'file':
+      return new FileStore(STORE_FILE);
+    case 'memory':
+      return new MemoryStore();
+    default:
+      console.warn(`⚠️  Unknown RATE_LIMIT_STORE "${type}", using memory`);
+      return new MemoryStore();
+  }
+};
+
+// Shared store instance
+const store = createStore(STORE_TYPE);
+console.log('🗄️  Rate limit store:', store.type);
+
+// Namespaced view of the shared store, so callers cannot collide on keys
+const namespace = (name) => {
+  const prefixed = (key) => `${KEY_PREFIX}${name}:${key}`;
+
+  return {
+    increment: (key, windowMs) => store.increment(prefixed(key), windowMs),
+    decrement: (key) => store.decrement(prefixed(key)),
+    resetKey: (key) => store.resetKey(prefixed(key)),
+    get: (key) => store.get(prefixed(key)),
+    set: (key, value, ttlMs) => store.set(prefixed(key), value, ttlMs),
+    delete: (key) => store.delete(prefixed(key))
+  };
+};
+
+// express-rate-limit / express-slow-down Store backed by the shared store
+// Each limiter needs its own instance (and name) so their counters stay separate
+const createLimiterStore = (name) => {
+  const counters = namespace(`ratelimit:${name}`);
+
+  return {
+    prefix: name,
+    localKeys: store.type === 'memory',
+
+    init(options) {
+      this.windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, resetTime } = await counters.increment(key, this.windowMs);
+      return { totalHits: count, resetTime };
+    },
+
+    async decrement(key) {
+      await counters.decrement(key);
+    },
+
+    async resetKey(key) {
+      await counters.resetKey(key);
+    }
+  };
+};
+
+module.exports = {
+  store,
+  namespace,
+  createLimiterStore,
+  MemoryStore,
+  FileStore,
+  RedisStore
+};
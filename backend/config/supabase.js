@@ -1,4 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
+const { verifyAccessToken, userFromClaims } = require('./jwt');
+const { LRUCache } = require('./cache');
 
 // Load environment variables
 require('dotenv').config();
@@ -40,8 +42,172 @@ if (supabaseServiceKey) {
   console.warn('⚠️  SUPABASE_SERVICE_ROLE_KEY not defined - admin operations will not be available');
 }
 
+// Decode JWT claims without verifying them - only use on tokens that were already verified
+const decodeJwtPayload = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+const REQUEST_SESSION_KEY = 'sb-request-session';
+
+// Create a request-scoped client so auth state never leaks between callers
+// Pass the caller's access token to run queries under their identity (RLS);
+// the token is also seeded as the client's session so user-level auth APIs
+// (MFA, updateUser) act on the caller
+const createRequestClient = (accessToken, user = null) => {
+  const sessionStore = new Map();
+  
+  if (accessToken) {
+    sessionStore.set(REQUEST_SESSION_KEY, JSON.stringify({
+      access_token: accessToken,
+      refresh_token: '',
+      token_type: 'bearer',
+      expires_at: decodeJwtPayload(accessToken)?.exp,
+      user
+    }));
+  }
+  
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: true, // Persisted only to this client's private in-memory store
+      detectSessionInUrl: false,
+      storageKey: REQUEST_SESSION_KEY,
+      storage: {
+        getItem: (key) => sessionStore.get(key) ?? null,
+        setItem: (key, value) => sessionStore.set(key, value),
+        removeItem: (key) => sessionStore.delete(key)
+      }
+    },
+    ...(accessToken && {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } }
+    })
+  });
+};
+
+// Helper function to list a user's verified MFA factors in API response shape
+const getVerifiedFactors = (user) => {
+  return (user?.factors || [])
+    .filter(factor => factor.status === 'verified')
+    .map(factor => ({
+      id: factor.id,
+      type: factor.factor_type,
+      friendlyName: factor.friendly_name || null,
+      createdAt: factor.created_at
+    }));
+};
+
+// Helper function to revoke the caller's session on the auth server
+// scope: 'local' (this device), 'global' (all devices) or 'others'
+const revokeSession = async (accessToken, scope = 'local') => {
+  try {
+    const client = supabaseAdmin || supabase;
+    const { error } = await client.auth.admin.signOut(accessToken, scope);
+    
+    if (error) {
+      console.error('Revoke session error:', error.message);
+      return { success: false, error: error.message };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Revoke session exception:', error);
+    return { success: false, error: 'Failed to revoke session' };
+  }
+};
+
+// Helper function to record the client's IP and user agent for the token's session
+// Failures are only logged - session details must never block a login
+const recordSessionMetadata = async (accessToken, { ip, userAgent } = {}) => {
+  try {
+    const claims = decodeJwtPayload(accessToken);
+    if (!claims?.session_id) {
+      return { success: false, error: 'Token has no session' };
+    }
+
+    const { error } = await createRequestClient(accessToken)
+      .from('user_sessions')
+      .upsert({
+        session_id: claims.session_id,
+        user_id: claims.sub,
+        ip_address: ip || null,
+        user_agent: userAgent ? userAgent.substring(0, 500) : null,
+        last_seen_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Record session metadata error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Record session metadata exception:', error);
+    return { success: false, error: 'Failed to record session metadata' };
+  }
+};
+
+// Helper function to list the caller's live sessions
+const listUserSessions = async (accessToken) => {
+  try {
+    const { data, error } = await createRequestClient(accessToken).rpc('list_user_sessions');
+
+    if (error) {
+      console.error('List sessions error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, sessions: data || [] };
+  } catch (error) {
+    console.error('List sessions exception:', error);
+    return { success: false, error: 'Failed to list sessions' };
+  }
+};
+
+// Helper function to end one of the caller's sessions by ID
+// Its refresh tokens stop working at once; access tokens already issued for it stay valid
+// under local verification until they expire (strict verification rejects them)
+const revokeUserSession = async (accessToken, sessionId) => {
+  try {
+    const { data, error } = await createRequestClient(accessToken)
+      .rpc('revoke_user_session', { target_session_id: sessionId });
+
+    if (error) {
+      console.error('Revoke user session error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, revoked: data === true };
+  } catch (error) {
+    console.error('Revoke user session exception:', error);
+    return { success: false, error: 'Failed to revoke session' };
+  }
+};
+
+// Token verification mode: "local" checks the JWT signature/claims in-process and only
+// asks the auth server when no key can verify the token; "remote" always asks the auth server
+const TOKEN_VERIFICATION = process.env.AUTH_TOKEN_VERIFICATION === 'remote' ? 'remote' : 'local';
+
 // Helper function to verify JWT token
-const verifySupabaseToken = async (token) => {
+// strict: always ask the auth server - catches revoked sessions and deleted users before the
+// token expires, and returns the full user record (timestamps, MFA factors)
+const verifySupabaseToken = async (token, { strict = false } = {}) => {
+  if (!strict && TOKEN_VERIFICATION === 'local') {
+    const localResult = await verifyAccessToken(token);
+
+    if (localResult.success) {
+      return { success: true, user: userFromClaims(localResult.claims), verifiedLocally: true };
+    }
+    if (!localResult.unavailable) {
+      console.error('Token verification error:', localResult.error);
+      return { success: false, error: localResult.error };
+    }
+    // No key material for this token - fall through to the auth server
+  }
+
   try {
     const { data: { user }, error } = await supabase.auth.getUser(token);
     
@@ -61,8 +227,54 @@ const verifySupabaseToken = async (token) => {
   }
 };
 
+// Profiles are read by the auth middleware on every request - cache them per process
+// Writes through upsertUserProfile refresh the entry; other changes show up within the TTL
+const profileCache = new LRUCache({
+  name: 'profiles',
+  maxSize: parseInt(process.env.PROFILE_CACHE_MAX_ENTRIES) || 1000,
+  ttlMs: (parseInt(process.env.PROFILE_CACHE_TTL_SECONDS) || 60) * 1000
+});
+
+// Drop a cached profile so the next read goes to the database
+const invalidateUserProfile = (userId) => profileCache.delete(userId);
+
+const getProfileCacheStats = () => profileCache.getStats();
+
+// Whether a user has a verified MFA factor - their AAL1 (password only) sessions are not fully signed in
+// Locally verified tokens carry no factor list, so it comes from the auth server and is cached briefly
+// fullRecord: user is the auth server's record (strict verification), which lists factors when there are any
+const factorStatusCache = new LRUCache({
+  name: 'mfa-factors',
+  maxSize: parseInt(process.env.PROFILE_CACHE_MAX_ENTRIES) || 1000,
+  ttlMs: 60 * 1000
+});
+
+const hasVerifiedFactors = async (user, accessToken, { fullRecord = false } = {}) => {
+  if (!fullRecord) {
+    const cached = factorStatusCache.get(user.id);
+    if (cached !== undefined) return cached;
+
+    // Throws when the auth server cannot answer - callers fail closed
+    const { data, error } = await supabase.auth.getUser(accessToken);
+    if (error || !data?.user) throw new Error(error?.message || 'User not found');
+    user = data.user;
+  }
+
+  const enrolled = getVerifiedFactors(user).length > 0;
+  factorStatusCache.set(user.id, enrolled);
+  return enrolled;
+};
+
+// Forget a user's cached factor status (after enrolling or removing a factor)
+const invalidateFactorStatus = (userId) => factorStatusCache.delete(userId);
+
 // Helper function to get user profile from profiles table
 const getUserProfile = async (userId) => {
+  const cached = profileCache.get(userId);
+  if (cached) {
+    return { success: true, profile: cached };
+  }
+
   try {
     const { data, error } = await supabase
       .from('profiles')
@@ -75,6 +287,7 @@ const getUserProfile = async (userId) => {
       return { success: false, error: error.message };
     }
     
+    profileCache.set(userId, data);
     return { success: true, profile: data };
   } catch (error) {
     console.error('Get user profile exception:', error);
@@ -83,9 +296,11 @@ const getUserProfile = async (userId) => {
 };
 
 // Helper function to create or update user profile
-const upsertUserProfile = async (userId, profileData) => {
+// Pass the caller's access token so the write passes the profiles RLS policies
+const upsertUserProfile = async (userId, profileData, accessToken) => {
   try {
-    const { data, error } = await supabase
+    const client = accessToken ? createRequestClient(accessToken) : supabase;
+    const { data, error } = await client
       .from('profiles')
       .upsert({
         id: userId,
@@ -97,20 +312,54 @@ const upsertUserProfile = async (userId, profileData) => {
     
     if (error) {
       console.error('Upsert user profile error:', error.message);
-      return { success: false, error: error.message };
+      invalidateUserProfile(userId);
+      return { success: false, error: error.message, code: error.code };
     }
     
+    // Write through so the user sees the change on their very next request
+    invalidateUserProfile(userId);
+    profileCache.set(userId, data);
     return { success: true, profile: data };
   } catch (error) {
+    invalidateUserProfile(userId);
     console.error('Upsert user profile exception:', error);
     return { success: false, error: 'Failed to update user profile' };
   }
 };
 
+// Helper function to check whether a username is free (public.is_username_available)
+const isUsernameAvailable = async (username) => {
+  try {
+    const { data, error } = await supabase.rpc('is_username_available', { username_input: username });
+
+    if (error) {
+      console.error('Username availability error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, available: data === true };
+  } catch (error) {
+    console.error('Username availability exception:', error);
+    return { success: false, error: 'Failed to check username availability' };
+  }
+};
+
 module.exports = {
   supabase,
   supabaseAdmin,
+  createRequestClient,
+  revokeSession,
+  recordSessionMetadata,
+  listUserSessions,
+  revokeUserSession,
+  decodeJwtPayload,
+  getVerifiedFactors,
+  hasVerifiedFactors,
+  invalidateFactorStatus,
   verifySupabaseToken,
   getUserProfile,
-  upsertUserProfile
+  upsertUserProfile,
+  isUsernameAvailable,
+  invalidateUserProfile,
+  getProfileCacheStats
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rule-based threat detection for incoming requests
+// Rules are loaded from a JSON file (THREAT_RULES_FILE, default: the bundled threat-rules.json):
+//   { "ignoreBodyFields": [...], "rules": [{ id, description, targets, pattern, flags, severity, action }] }
+// targets:  path, query, body, userAgent, method, headers (every header except credentials) or header:<name>
+// pattern:  regular expression source, matched against the URL-decoded value (flags default to "i")
+// severity: low, medium, high or critical
+// action:   log (let the request through), 404, 403 or tarpit (hold the connection, then 404)
+// Check rule changes with `npm run test:threats` (sample requests in scripts/threat-samples.json)
+
+const BUNDLED_RULES = path.join(__dirname, 'threat-rules.json');
+const RULES_FILE = process.env.THREAT_RULES_FILE || BUNDLED_RULES;
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ACTIONS = ['log', '404', '403', 'tarpit']; // Weakest first
+const TARGETS = ['path', 'query', 'body', 'userAgent', 'method', 'headers'];
+const HEADER_TARGET = /^header:([a-z0-9-]+)$/;
+
+// Not part of the "headers" target - credentials must not end up in the security log
+const PRIVATE_HEADERS = ['authorization', 'cookie', 'x-csrf-token'];
+
+const MAX_INPUT_LENGTH = 64 * 1024; // Longer values are inspected up to here
+const MAX_DECODE_PASSES = 3; // Undo double and triple URL encoding
+const MAX_BODY_DEPTH = 5;
+const MAX_MATCH_LENGTH = 100; // Matched text kept for the log
+
+const compileRule = (rule, index) => {
+  const name = rule && rule.id ? `Threat rule "${rule.id}"` : `Threat rule #${index + 1}`;
+
+  if (!rule || typeof rule.id !== 'string' || !rule.id) throw new Error(`${name}: id is required`);
+  if (!Array.isArray(rule.targets) || rule.targets.length === 0) throw new Error(`${name}: targets are required`);
+
+  const invalidTarget = rule.targets.find(target => !TARGETS.includes(target) && !HEADER_TARGET.test(target));
+  if (invalidTarget) throw new Error(`${name}: unknown target "${invalidTarget}"`);
+  if (!SEVERITIES.includes(rule.severity)) throw new Error(`${name}: severity must be one of ${SEVERITIES.join(', ')}`);
+  if (!ACTIONS.includes(rule.action)) throw new Error(`${name}: action must be one of ${ACTIONS.join(', ')}`);
+
+  const flags = rule.flags === undefined ? 'i' : rule.flags;
+  // g and y make RegExp.test stateful between requests
+  if (/[gy]/.test(flags)) throw new Error(`${name}: the g and y flags are not supported`);
+
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw new Error(`${name}: invalid pattern - ${error.message}`);
+  }
+
+  return {
+    id: rule.id,
+    description: rule.description || rule.id,
+    targets: rule.targets,
+    regex,
+    severity: rule.severity,
+    action: rule.action
+  };
+};
+
+// Read and compile a rule file - throws on any invalid rule, a broken rule set must not load half way
+const loadThreatRules = (file = RULES_FILE) => {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.rules)) throw new Error(`${file}: "rules" must be an array`);
+
+  const rules = config.rules.map(compileRule);
+  const ids = new Set();
+  for (const rule of rules) {
+    if (ids.has(rule.id)) throw new Error(`Threat rule "${rule.id}" is defined twice`);
+    ids.add(rule.id);
+  }
+
+  return {
+    file,
+    rules,
+    ignoreBodyFields: (config.ignoreBodyFields || []).map(field => String(field).toLowerCase())
+  };
+};
+
+// Repeatedly URL-decode (attackers double-encode to get past single-pass filters)
+const decode = (value) => {
+  let decoded = value;
+  for (let pass = 0; pass < MAX_DECODE_PASSES; pass++) {
+    try {
+      const next = decodeURIComponent(decoded);
+      if (next === decoded) break;
+      decoded = next;
+    } catch (error) {
+      break; // Malformed escape - inspect what there is
+    }
+  }
+  return decoded;
+};
+
+const limit = (value) => value.substring(0, MAX_INPUT_LENGTH);
+
+// Keys and string values of a parsed body, skipping ignored fields (passwords may legitimately look like anything)
+const collectBodyStrings = (value, ignoredFields, output = [], depth = 0) => {
+  if (depth > MAX_BODY_DEPTH) return output;
+
+  if (typeof value === 'string') {
+    output.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectBodyStrings(item, ignoredFields, output, depth + 1));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (ignoredFields.includes(key.toLowerCase())) continue;
+      output.push(key);
+      collectBodyStrings(item, ignoredFields, output, depth + 1);
+    }
+  }
+
+  return output;
+};
+
+// The value of one target - from an Express request or a plain { method, url, headers, body } object
+const readTarget = (request, target, ruleSet) => {
+  const url = request.originalUrl || request.url || '/';
+  const queryStart = url.indexOf('?');
+  const headers = request.headers || {};
+
+  switch (target) {
+    case 'path':
+      return limit(decode(queryStart === -1 ? url : url.substring(0, queryStart)));
+    case 'query':
+      return queryStart === -1 ? '' : limit(decode(url.substring(queryStart + 1).replace(/\+/g, ' ')));
+    case 'body':
+      return limit(collectBodyStrings(request.body, ruleSet.ignoreBodyFields).join('\n'));
+    case 'userAgent':
+      return String(headers['user-agent'] || '');
+    case 'method':
+      return String(request.method || 'GET').toUpperCase();
+    case 'headers':
+      return limit(Object.entries(headers)
+        .filter(([name]) => !PRIVATE_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\n'));
+    default:
+      return limit(String(headers[HEADER_TARGET.exec(target)[1]] || ''));
+  }
+};
+
+// Which targets are inspected at each stage: "request" runs before the body is parsed, "body" after
+const inStage = (target, stage) => {
+  if (!stage) return true;
+  return stage === 'body' ? target === 'body' : target !== 'body';
+};
+
+// Every rule a request matches, most severe (then strongest action) first
+// stage: "request", "body" or omitted for all targets
+const findThreats = (request, stage, ruleSet = threatRules) => {
+  const values = {};
+  const threats = [];
+
+  for (const rule of ruleSet.rules) {
+    for (const target of rule.targets.filter(target => inStage(target, stage))) {
+      if (!(target in values)) values[target] = readTarget(request, target, ruleSet);
+
+      const match = rule.regex.exec(values[target]);
+      if (match) {
+        threats.push({ rule, target, match: match[0].substring(0, MAX_MATCH_LENGTH) });
+        break; // One match per rule is enough
+      }
+    }
+  }
+
+  return threats.sort((a, b) =>
+    (SEVERITIES.indexOf(b.rule.severity) - SEVERITIES.indexOf(a.rule.severity)) ||
+    (ACTIONS.indexOf(b.rule.action) - ACTIONS.indexOf(a.rule.action))
+  );
+};
+
+const threatRules = loadThreatRules();
+console.log(`🛡️  Loaded ${threatRules.rules.length} threat detection rules from ${path.basename(threatRules.file)}`);
+
+module.exports = {
+  SEVERITIES,
+  ACTIONS,
+  threatRules,
+  loadThreatRules,
+  findThreats
+};
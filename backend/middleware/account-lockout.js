@@ -0,0 +1,280 @@
+const { securityLogger } = require('./logger');
+const { namespace } = require('../config/store');
+
+// Per-account failed login tracking (complements the per-IP authLimiter)
+// Failures are keyed by normalized email, so attempts spread over many IPs still count against
+// the account, and one shared IP does not lock out every user behind it
+// State lives in the shared store (RATE_LIMIT_STORE) so it survives restarts and is seen by every process:
+//   failures:<email>  failed attempt counter, bumped with the store's atomic increment
+//   last:<email>      time of the latest failure, for the backoff delay
+//   locked:<email>    { failures, lockedUntil } while the account is locked
+//   pending:<email>   login attempts in flight - only one at a time may check a password
+// Recently locked accounts are also written to a ring of LOCKED_INDEX_SLOTS keys for admin tooling
+const LOCKED_INDEX_SLOTS = 50;
+const PENDING_TTL_MS = 30 * 1000; // longest a crashed attempt can hold the account's slot
+
+class AccountLockout {
+    constructor(options = {}) {
+        this.freeAttempts = options.freeAttempts || 3; // failures before any backoff applies
+        this.maxAttempts = options.maxAttempts || 10; // failures before the account is locked
+        this.baseDelayMs = options.baseDelayMs || 1000; // first backoff delay, doubled per failure
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+        this.lockDurationMs = options.lockDurationMs || 15 * 60 * 1000;
+        this.resetAfterMs = options.resetAfterMs || 60 * 60 * 1000; // forget failures an hour after the first one
+        this.store = options.store || namespace('lockout');
+    }
+
+    // Lowercase and trim so "User@Example.com " and "user@example.com" share one counter
+    normalize(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    // Current entry for an account, or null when it has no recent failures
+    // A lock replaces the failure counter, so once it expires the account starts over and the
+    // next failure does not relock immediately
+    async getEntry(email) {
+        const key = this.normalize(email);
+        const [lock, failures, lastFailure] = await Promise.all([
+            this.store.get(`locked:${key}`),
+            this.store.get(`failures:${key}`),
+            this.store.get(`last:${key}`)
+        ]);
+
+        if (lock) {
+            return { failures: lock.failures, lastFailure: lock.lockedUntil - this.lockDurationMs, lockedUntil: lock.lockedUntil };
+        }
+        if (!failures) return null;
+        return { failures, lastFailure: lastFailure || 0, lockedUntil: null };
+    }
+
+    // Backoff delay owed after the given number of failures
+    getDelay(failures) {
+        if (failures < this.freeAttempts) return 0;
+        return Math.min(this.baseDelayMs * Math.pow(2, failures - this.freeAttempts), this.maxDelayMs);
+    }
+
+    // Whether a login attempt for this account may proceed now
+    async check(email) {
+        return this.evaluate(await this.getEntry(email));
+    }
+
+    evaluate(entry) {
+        if (!entry) return { allowed: true, locked: false, retryAfter: 0 };
+
+        const now = Date.now();
+        if (entry.lockedUntil) {
+            return { allowed: false, locked: true, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) };
+        }
+
+        const nextAttemptAt = entry.lastFailure + this.getDelay(entry.failures);
+        if (nextAttemptAt > now) {
+            return { allowed: false, locked: false, retryAfter: Math.ceil((nextAttemptAt - now) / 1000) };
+        }
+
+        return { allowed: true, locked: false, retryAfter: 0 };
+    }
+
+    // Claim the account's login slot, then check the lock and backoff
+    // Parallel attempts would otherwise all pass the check before any of their failures is counted
+    // When allowed, the caller must call release() once the password check is done
+    async acquire(email) {
+        const pendingKey = `pending:${this.normalize(email)}`;
+        const { count } = await this.store.increment(pendingKey, PENDING_TTL_MS);
+
+        let released = false;
+        const release = async () => {
+            if (released) return;
+            released = true;
+            await this.store.decrement(pendingKey).catch((error) => {
+                console.error('⚠️  Account lockout release failed:', error.message);
+            });
+        };
+
+        if (count > 1) {
+            await release();
+            return { allowed: false, locked: false, busy: true, retryAfter: 1 };
+        }
+
+        let state;
+        try {
+            state = await this.check(email);
+        } catch (error) {
+            await release();
+            throw error;
+        }
+        if (!state.allowed) await release();
+
+        return { ...state, release };
+    }
+
+    // Count a failed login; locks the account once the counter reaches maxAttempts
+    async recordFailure(email, meta = {}) {
+        const key = this.normalize(email);
+
+        let failures;
+        const lastFailure = Date.now();
+        try {
+            ({ count: failures } = await this.store.increment(`failures:${key}`, this.resetAfterMs));
+            await this.store.set(`last:${key}`, lastFailure, this.resetAfterMs);
+        } catch (error) {
+            console.error('⚠️  Account lockout update failed:', error.message);
+            return this.evaluate(null);
+        }
+
+        if (failures < this.maxAttempts) {
+            return this.evaluate({ failures, lastFailure, lockedUntil: null });
+        }
+
+        // Failures that were already in flight when the lock was set only extend it
+        const lockedUntil = lastFailure + this.lockDurationMs;
+        try {
+            await this.store.set(`locked:${key}`, { failures, lockedUntil }, this.lockDurationMs);
+            await this.store.resetKey(`failures:${key}`);
+            await this.store.delete(`last:${key}`);
+            if (failures === this.maxAttempts) {
+                await this.addToLockedIndex(key, lockedUntil);
+            }
+        } catch (error) {
+            console.error('⚠️  Account lockout update failed:', error.message);
+        }
+        if (failures > this.maxAttempts) {
+            return this.evaluate({ failures, lastFailure, lockedUntil });
+        }
+
+        console.log(`🔒 Account locked after ${failures} failed logins:`, key);
+        securityLogger.logAuth('ACCOUNT_LOCKED', {
+            ip: meta.ip,
+            userAgent: meta.userAgent,
+            email: key,
+            success: false,
+            reason: `${failures} failed login attempts, locked until ${new Date(lockedUntil).toISOString()}`
+        });
+
+        return this.evaluate({ failures, lastFailure, lockedUntil });
+    }
+
+    // Drop every key of an account's failure history
+    async clear(key) {
+        await this.store.delete(`locked:${key}`);
+        await this.store.resetKey(`failures:${key}`);
+        await this.store.delete(`last:${key}`);
+    }
+
+    // Successful login clears the account's failure history
+    async recordSuccess(email) {
+        try {
+            await this.clear(this.normalize(email));
+        } catch (error) {
+            console.error('⚠️  Account lockout reset failed:', error.message);
+        }
+    }
+
+    // Manually lift a lock (admin action)
+    async unlock(email, meta = {}) {
+        const key = this.normalize(email);
+        const entry = await this.getEntry(key);
+        await this.clear(key);
+
+        console.log('🔓 Account unlocked:', key);
+        securityLogger.logAuth('ACCOUNT_UNLOCKED', {
+            ip: meta.ip,
+            userAgent: meta.userAgent,
+            email: key,
+            success: true,
+            reason: meta.reason || 'Unlocked by administrator'
+        });
+
+        return !!entry;
+    }
+
+    // Lock state for an account, for admin tooling
+    async getStatus(email) {
+        const key = this.normalize(email);
+        const entry = await this.getEntry(key);
+        const state = this.evaluate(entry);
+
+        return {
+            email: key,
+            failures: entry ? entry.failures : 0,
+            locked: state.locked,
+            lockedUntil: entry && entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null,
+            retryAfter: state.retryAfter
+        };
+    }
+
+    // Write a new lock to the next slot of the index ring - one key per lock, so concurrent
+    // locks never overwrite each other's entry (only the oldest once more than LOCKED_INDEX_SLOTS are live)
+    async addToLockedIndex(key, lockedUntil) {
+        const { count } = await this.store.increment('locked-index:next', 30 * 24 * 60 * 60 * 1000);
+        await this.store.set(`locked-index:${count % LOCKED_INDEX_SLOTS}`, { email: key, lockedUntil }, this.lockDurationMs);
+    }
+
+    // Currently locked accounts - index entries are checked against the lock itself, which
+    // disappears on unlock, success or expiry
+    async listLocked() {
+        const slots = await Promise.all(
+            Array.from({ length: LOCKED_INDEX_SLOTS }, (_, slot) => this.store.get(`locked-index:${slot}`))
+        );
+        const emails = [...new Set(slots.filter(Boolean).map(item => item.email))];
+        const locks = await Promise.all(emails.map(email => this.store.get(`locked:${email}`)));
+
+        const now = Date.now();
+        return emails
+            .map((email, i) => ({ email, lock: locks[i] }))
+            .filter(({ lock }) => lock && lock.lockedUntil > now)
+            .sort((a, b) => a.lock.lockedUntil - b.lock.lockedUntil)
+            .map(({ email, lock }) => ({ email, lockedUntil: new Date(lock.lockedUntil).toISOString() }));
+    }
+
+    // Middleware rejecting logins for locked or backing-off accounts (runs after body validation)
+    // An allowed request holds the account's login slot until its response is sent
+    middleware() {
+        return async (req, res, next) => {
+            if (!req.body || !req.body.email) return next();
+
+            let state;
+            try {
+                state = await this.acquire(req.body.email);
+            } catch (error) {
+                // Same policy as the rate limiters: a store outage must not block every login
+                console.error('⚠️  Account lockout check failed:', error.message);
+                return next();
+            }
+            if (state.allowed) {
+                res.once('close', state.release);
+                return next();
+            }
+
+            securityLogger.logAuth('LOGIN_BLOCKED', {
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                email: this.normalize(req.body.email),
+                success: false,
+                reason: state.locked ? 'Account locked' : state.busy ? 'Concurrent login attempt' : 'Login backoff in effect'
+            });
+
+            res.set('Retry-After', String(state.retryAfter));
+            return res.status(429).json({
+                status: 'error',
+                message: state.locked
+                    ? `Too many failed login attempts. This account is temporarily locked, try again in ${Math.ceil(state.retryAfter / 60)} minutes.`
+                    : state.busy
+                        ? 'Another login attempt for this account is in progress. Please try again.'
+                        : `Too many failed login attempts. Please wait ${state.retryAfter} seconds before trying again.`,
+                data: { locked: state.locked, retryAfter: state.retryAfter }
+            });
+        };
+    }
+}
+
+// Create account lockout instance
+const accountLockout = new AccountLockout({
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 10,
+    lockDurationMs: (parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 15) * 60 * 1000
+});
+
+module.exports = {
+    AccountLockout,
+    accountLockout,
+    checkAccountLockout: accountLockout.middleware()
+};
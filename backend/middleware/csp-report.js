@@ -0,0 +1,146 @@
+const express = require('express');
+const { securityLogger } = require('./logger');
+
+// Content-Security-Policy violation reports (POST /api/csp-report)
+// Browsers send either the legacy report-uri format ({ "csp-report": {...} }, application/csp-report)
+// or Reporting API batches ([{ type: 'csp-violation', body: {...} }], application/reports+json)
+// Violations are counted per directive + blocked URI in memory (per process); the first report of
+// each kind and every LOG_EVERY-th repeat are written to security.log
+
+// CSP_MODE: "enforce" (default) blocks violations, "report-only" only reports them - for staging a
+// stricter policy before enforcing it
+const CSP_MODES = ['enforce', 'report-only'];
+const CSP_MODE = CSP_MODES.includes(process.env.CSP_MODE) ? process.env.CSP_MODE : 'enforce';
+
+// Where browsers send reports - point it at an external collector if you have one
+// (the admin summary only covers reports received by this server)
+const CSP_REPORT_URI = process.env.CSP_REPORT_URI || '/api/csp-report';
+const CSP_REPORT_GROUP = 'csp-endpoint'; // Reporting API endpoint name (report-to / Reporting-Endpoints)
+
+const MAX_VIOLATIONS = 500; // Distinct violations kept - the least recently seen one is dropped first
+const MAX_BATCH_SIZE = 50; // Reports read from one Reporting API batch
+const MAX_FIELD_LENGTH = 300;
+const LOG_EVERY = 100;
+
+const violations = new Map();
+const trackingSince = new Date().toISOString();
+let totalReports = 0;
+
+const truncate = (value) => String(value).substring(0, MAX_FIELD_LENGTH);
+
+// URLs without query string or fragment (they can hold tokens and would make every report unique)
+// Keywords (inline, eval, ...) and data:/blob: sources are kept as a single label
+const normalizeUri = (value) => {
+    if (!value || typeof value !== 'string') return null;
+
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'http:' || url.protocol === 'https:' || url.protocol === 'ws:' || url.protocol === 'wss:') {
+            return truncate(`${url.origin}${url.pathname}`);
+        }
+        return url.protocol.replace(':', '');
+    } catch (error) {
+        return truncate(value);
+    }
+};
+
+const fromLegacyReport = (report) => ({
+    directive: report['effective-directive'] || report['violated-directive'],
+    blockedUri: report['blocked-uri'],
+    documentUri: report['document-uri'],
+    sourceFile: report['source-file'],
+    lineNumber: report['line-number'],
+    disposition: report.disposition
+});
+
+const fromReportingApi = (report) => ({
+    directive: report.effectiveDirective,
+    blockedUri: report.blockedURL,
+    documentUri: report.documentURL,
+    sourceFile: report.sourceFile,
+    lineNumber: report.lineNumber,
+    disposition: report.disposition
+});
+
+// The violations in a request body, in either format (anything else yields none)
+const parseReports = (body) => {
+    if (Array.isArray(body)) {
+        return body
+            .slice(0, MAX_BATCH_SIZE)
+            .filter(report => report && report.type === 'csp-violation' && report.body && typeof report.body === 'object')
+            .map(report => fromReportingApi(report.body));
+    }
+
+    const legacyReport = body && body['csp-report'];
+    return legacyReport && typeof legacyReport === 'object' ? [fromLegacyReport(legacyReport)] : [];
+};
+
+const recordViolation = (report, req) => {
+    // violated-directive may carry the whole directive value ("script-src 'self'")
+    const directive = truncate(String(report.directive || 'unknown').trim().split(/\s+/)[0]);
+    const blockedUri = normalizeUri(report.blockedUri) || 'unknown';
+    const key = `${directive} ${blockedUri}`;
+    const now = new Date().toISOString();
+
+    let violation = violations.get(key);
+    if (violation) {
+        violations.delete(key); // Re-inserted below - the map stays ordered by last report
+    } else {
+        if (violations.size >= MAX_VIOLATIONS) {
+            violations.delete(violations.keys().next().value);
+        }
+        violation = { directive, blockedUri, count: 0, firstSeen: now };
+    }
+
+    violation.count++;
+    violation.lastSeen = now;
+    violation.disposition = report.disposition === 'report' ? 'report' : 'enforce';
+    violation.documentUri = normalizeUri(report.documentUri);
+    violation.sourceFile = normalizeUri(report.sourceFile);
+    violation.lineNumber = Number.isInteger(report.lineNumber) ? report.lineNumber : null;
+    violations.set(key, violation);
+    totalReports++;
+
+    if (violation.count === 1 || violation.count % LOG_EVERY === 0) {
+        securityLogger.logCSPViolation({
+            ...violation,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.substring(0, 200)
+        });
+    }
+};
+
+// Route handlers for POST /api/csp-report
+// Mounted before the JSON body parser and content type validation - browsers use their own content types
+// No CSRF token: reports carry no credentials and only feed the counters
+const handleCSPReport = [
+    express.json({ type: ['application/csp-report', 'application/reports+json', 'application/json'], limit: '64kb' }),
+    (req, res) => {
+        parseReports(req.body).forEach(report => recordViolation(report, req));
+        res.status(204).end();
+    },
+    // Malformed JSON - nothing to record, and browsers ignore the response anyway
+    (err, req, res, next) => {
+        res.status(400).end();
+    }
+];
+
+// Counters for the admin dashboard, most frequent first
+const getCSPReportSummary = ({ limit = 50 } = {}) => ({
+    mode: CSP_MODE,
+    reportUri: CSP_REPORT_URI,
+    since: trackingSince,
+    totalReports,
+    distinct: violations.size,
+    violations: [...violations.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+});
+
+module.exports = {
+    CSP_MODE,
+    CSP_REPORT_URI,
+    CSP_REPORT_GROUP,
+    handleCSPReport,
+    getCSPReportSummary
+};
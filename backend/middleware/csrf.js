@@ -1,145 +1,312 @@
 const crypto = require('crypto');
 
+const CSRF_MODES = ['session', 'double-submit'];
+
 // Simple CSRF protection implementation (since csurf is deprecated)
+// Modes:
+//   session        - token bound to the express-session ID and stored in the session (needs sticky sessions
+//                    or a shared session store when running several instances)
+//   double-submit  - stateless: a signed token in an httpOnly cookie must be echoed in the X-CSRF-Token header,
+//                    any instance with the same CSRF_SECRET can verify it. The token is bound to the Supabase
+//                    session of the request (session_id of its access token), or before sign-in to a random
+//                    client ID cookie, so a token planted in the browser (e.g. from a sibling subdomain) is useless
+// Clients only ever see masked copies of the token (see maskToken)
 class CSRFProtection {
     constructor(options = {}) {
         this.secret = options.secret || process.env.CSRF_SECRET || 'your-csrf-secret-key';
         this.tokenLength = options.tokenLength || 32;
         this.cookieName = options.cookieName || 'csrfToken';
+        this.clientIdCookieName = options.clientIdCookieName || 'csrfClientId';
+        this.accessCookieName = options.accessCookieName || 'sb-access-token'; // see supabase-auth middleware
         this.headerName = options.headerName || 'x-csrf-token';
+        this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; // 24 hours
+        this.mode = CSRF_MODES.includes(options.mode) ? options.mode : 'session';
     }
-    
+
     // Generate CSRF token
-    generateToken(sessionId) {
+    // binding: the session ID in session mode, the Supabase session or client ID in double-submit mode
+    generateToken(binding = '') {
         const timestamp = Date.now().toString();
         const randomBytes = crypto.randomBytes(this.tokenLength).toString('hex');
-        const payload = `${sessionId}:${timestamp}:${randomBytes}`;
-        
+        const payload = `${binding}:${timestamp}:${randomBytes}`;
+
+        return `${Buffer.from(payload).toString('base64')}.${this.sign(payload)}`;
+    }
+
+    sign(payload) {
         const hmac = crypto.createHmac('sha256', this.secret);
         hmac.update(payload);
-        const signature = hmac.digest('hex');
-        
-        return `${Buffer.from(payload).toString('base64')}.${signature}`;
-    }
-    
-    // Verify CSRF token
-    verifyToken(token, sessionId) {
-        if (!token) return false;
-        
+        return hmac.digest('hex');
+    }
+
+    // Constant-time string comparison (length is not secret - all tokens have the same shape)
+    safeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+        const bufferA = Buffer.from(a);
+        const bufferB = Buffer.from(b);
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    // Masked copy of a token: a fresh random pad followed by token XOR pad (base64url)
+    // Every response carries a different masking, so the secret never repeats in compressed
+    // responses and cannot be recovered through compression side channels (BREACH)
+    maskToken(token) {
+        const tokenBytes = Buffer.from(token);
+        const pad = crypto.randomBytes(tokenBytes.length);
+        const masked = Buffer.alloc(tokenBytes.length);
+
+        for (let i = 0; i < tokenBytes.length; i++) {
+            masked[i] = tokenBytes[i] ^ pad[i];
+        }
+
+        return Buffer.concat([pad, masked]).toString('base64url');
+    }
+
+    // The token behind any masking from maskToken, null for malformed input
+    unmaskToken(maskedToken) {
+        if (!maskedToken || typeof maskedToken !== 'string') return null;
+
+        const bytes = Buffer.from(maskedToken, 'base64url');
+        if (bytes.length === 0 || bytes.length % 2 !== 0) return null;
+
+        const length = bytes.length / 2;
+        const token = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            token[i] = bytes[i] ^ bytes[length + i];
+        }
+
+        return token.toString();
+    }
+
+    // What a token is bound to, if its signature and age check out (null otherwise)
+    tokenBinding(token) {
+        if (!token || typeof token !== 'string') return null;
+
         try {
             const [payloadB64, signature] = token.split('.');
-            if (!payloadB64 || !signature) return false;
-            
+            if (!payloadB64 || !signature) return null;
+
             const payload = Buffer.from(payloadB64, 'base64').toString();
-            const [tokenSessionId, timestamp, randomBytes] = payload.split(':');
-            
-            // Verify session ID matches
-            if (tokenSessionId !== sessionId) return false;
-            
+            const [tokenBinding, timestamp] = payload.split(':');
+
             // Verify signature
-            const hmac = crypto.createHmac('sha256', this.secret);
-            hmac.update(payload);
-            const expectedSignature = hmac.digest('hex');
-            
-            if (signature !== expectedSignature) return false;
-            
-            // Check token age (24 hours max)
+            if (!this.safeEqual(signature, this.sign(payload))) return null;
+
+            // Check token age
             const tokenAge = Date.now() - parseInt(timestamp);
-            const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-            
-            return tokenAge < maxAge;
+            return tokenAge >= 0 && tokenAge < this.maxAge ? tokenBinding : null;
         } catch (error) {
             console.error('CSRF token verification error:', error);
-            return false;
+            return null;
+        }
+    }
+
+    // Check a token's signature, binding (session ID, or Supabase session / client ID) and age
+    isValidToken(token, binding = '') {
+        const tokenBinding = this.tokenBinding(token);
+        return tokenBinding !== null && this.safeEqual(tokenBinding, binding);
+    }
+
+    sessionBinding(req) {
+        return req.session?.id || req.sessionID || '';
+    }
+
+    // session_id claim of a Supabase access token - only decoded, never trusted for authorization:
+    // the binding just has to tell sessions apart, the authentication middleware verifies the token
+    sessionIdOf(accessToken) {
+        if (!accessToken || typeof accessToken !== 'string') return null;
+
+        try {
+            const claims = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+            return typeof claims.session_id === 'string' ? claims.session_id : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Access token sent with the request (same sources as getRequestToken in the auth middleware)
+    requestAccessToken(req) {
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            return authHeader.substring(7);
+        }
+        return req.cookies?.[this.accessCookieName] || null;
+    }
+
+    // Double-submit binding of the request: its Supabase session, else its client ID (null when it has neither)
+    // accessToken overrides the request's token after a sign-in (new session) or sign-out (null)
+    doubleSubmitBinding(req, accessToken = this.requestAccessToken(req)) {
+        const sessionId = this.sessionIdOf(accessToken);
+        if (sessionId) return `session-${sessionId}`;
+
+        const clientId = req.cookies?.[this.clientIdCookieName];
+        return clientId ? `client-${clientId}` : null;
+    }
+
+    // Give a client without a session a random ID to bind its tokens to
+    ensureClientId(req, res) {
+        if (req.cookies?.[this.clientIdCookieName]) return;
+
+        const clientId = crypto.randomBytes(16).toString('hex');
+        res.cookie(this.clientIdCookieName, clientId, this.cookieOptions());
+        if (req.cookies) req.cookies[this.clientIdCookieName] = clientId;
+    }
+
+    cookieOptions() {
+        return {
+            httpOnly: true, // The client reads the token from /api/csrf-token or the X-CSRF-Token header
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+            maxAge: this.maxAge,
+            path: '/'
+        };
+    }
+
+    // The request's current token if it is still valid (nothing is issued)
+    currentToken(req) {
+        if (this.mode === 'double-submit') {
+            const token = req.cookies?.[this.cookieName];
+            return this.isValidToken(token, this.doubleSubmitBinding(req)) ? token : null;
+        }
+
+        const token = req.session?.csrfToken;
+        return this.isValidToken(token, this.sessionBinding(req)) ? token : null;
+    }
+
+    // Issue a new token for the request and send it to the client
+    // accessToken: see doubleSubmitBinding (ignored in session mode)
+    issueToken(req, res, accessToken) {
+        let token;
+
+        if (this.mode === 'double-submit') {
+            let binding = this.doubleSubmitBinding(req, accessToken);
+            if (!binding) {
+                this.ensureClientId(req, res);
+                binding = this.doubleSubmitBinding(req, null);
+            }
+
+            token = this.generateToken(binding);
+            res.cookie(this.cookieName, token, this.cookieOptions());
+            // Later middleware in this request sees the new token too
+            if (req.cookies) req.cookies[this.cookieName] = token;
+        } else {
+            token = this.generateToken(this.sessionBinding(req));
+            req.session.csrfToken = token;
+        }
+
+        return this.sendToken(res, token);
+    }
+
+    // Give the client a freshly masked copy of the token, returns that copy
+    sendToken(res, token) {
+        const maskedToken = this.maskToken(token);
+        res.locals.csrfToken = maskedToken;
+        res.set('X-CSRF-Token', maskedToken);
+        return maskedToken;
+    }
+
+    // The current token (masked), or a new one if it is missing or expired
+    // In double-submit mode a request without an access token (assets, public endpoints) keeps the
+    // client's token whatever it is bound to - only a request for a different Supabase session replaces it
+    ensureToken(req, res) {
+        if (this.mode === 'double-submit') {
+            const token = req.cookies?.[this.cookieName];
+            const binding = this.tokenBinding(token);
+            const requestSession = this.sessionIdOf(this.requestAccessToken(req));
+            const keep = binding !== null && (!requestSession || binding === `session-${requestSession}`);
+            return keep ? this.sendToken(res, token) : this.issueToken(req, res);
         }
+
+        const token = this.currentToken(req);
+        return token ? this.sendToken(res, token) : this.issueToken(req, res);
+    }
+
+    // Replace the token after a change of privilege (login, logout, MFA step-up) so a token
+    // obtained before the change cannot be replayed after it
+    // Pass the new session's access token after a sign-in, null after a sign-out
+    rotateToken(req, res, accessToken) {
+        if (this.mode === 'session' && !req.session) return null;
+        return this.issueToken(req, res, accessToken);
+    }
+
+    // Does the token sent with the request match the one issued to this client? Any masking is accepted
+    verifyRequest(req) {
+        const maskedToken = req.get(this.headerName) ||
+                     req.body?._csrf ||
+                     req.query._csrf;
+
+        const expected = this.currentToken(req);
+        return !!expected && this.safeEqual(this.unmaskToken(maskedToken), expected);
     }
-    
+
     // Middleware to add CSRF token to session/response
     addToken() {
         return (req, res, next) => {
             // Ensure session exists
-            if (!req.session) {
+            if (this.mode === 'session' && !req.session) {
                 return res.status(500).json({
                     status: 'error',
                     message: 'Session required for CSRF protection',
                     data: null
                 });
             }
-            
-            // Generate or retrieve CSRF token
-            if (!req.session.csrfToken) {
-                req.session.csrfToken = this.generateToken(req.session.id || req.sessionID);
-            }
-            
-            // Add token to response locals for templates
-            res.locals.csrfToken = req.session.csrfToken;
-            
-            // Add token to response header for AJAX requests
-            res.set('X-CSRF-Token', req.session.csrfToken);
-            
+
+            this.ensureToken(req, res);
             next();
         };
     }
-    
-    // Middleware to verify CSRF token
+
+    // Middleware to verify CSRF token - add it to every route that changes state
     verifyToken() {
         return (req, res, next) => {
             // Skip verification for GET, HEAD, OPTIONS
             if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
                 return next();
             }
-            
-            // Skip verification for health check endpoints
-            if (req.originalUrl.includes('/health')) {
-                return next();
-            }
-            
-            const token = req.get(this.headerName) || 
-                         req.body._csrf || 
-                         req.query._csrf;
-            
-            const sessionId = req.session?.id || req.sessionID;
-            
-            if (!this.verifyToken(token, sessionId)) {
+
+            if (!this.verifyRequest(req)) {
+                // The kept token may be bound to a session that has since ended - send one for
+                // this request's binding, so the client's retry with it can pass
+                if (this.mode === 'double-submit' && !this.currentToken(req)) {
+                    this.issueToken(req, res);
+                }
+
                 console.log('🚨 CSRF token verification failed:', {
                     ip: req.ip,
                     url: req.originalUrl,
                     method: req.method,
                     userAgent: req.get('User-Agent'),
-                    providedToken: token ? 'present' : 'missing',
-                    sessionId
+                    providedToken: req.get(this.headerName) ? 'present' : 'missing',
+                    mode: this.mode
                 });
-                
+
                 return res.status(403).json({
                     status: 'error',
                     message: 'Invalid or missing CSRF token',
-                    data: null
+                    data: { csrfTokenInvalid: true }
                 });
             }
-            
+
             next();
         };
     }
-    
+
     // Get token endpoint
     getTokenEndpoint() {
         return (req, res) => {
-            if (!req.session) {
+            if (this.mode === 'session' && !req.session) {
                 return res.status(500).json({
                     status: 'error',
                     message: 'Session required',
                     data: null
                 });
             }
-            
-            if (!req.session.csrfToken) {
-                req.session.csrfToken = this.generateToken(req.session.id || req.sessionID);
-            }
-            
+
             res.json({
                 status: 'success',
                 message: 'CSRF token retrieved',
-                data: { csrfToken: req.session.csrfToken }
+                data: { csrfToken: this.ensureToken(req, res) }
             });
         };
     }
@@ -148,13 +315,17 @@ class CSRFProtection {
 // Create CSRF protection instance
 const csrfProtection = new CSRFProtection({
     secret: process.env.CSRF_SECRET || 'your-csrf-secret-key-change-in-production',
-    tokenLength: 32
+    tokenLength: 32,
+    mode: process.env.CSRF_MODE
 });
 
+console.log(`🛡️  CSRF protection mode: ${csrfProtection.mode}`);
+
 module.exports = {
     CSRFProtection,
     csrfProtection,
     addCSRFToken: csrfProtection.addToken(),
     verifyCSRFToken: csrfProtection.verifyToken(),
-    getCSRFToken: csrfProtection.getTokenEndpoint()
-};
\ No newline at end of file
+    getCSRFToken: csrfProtection.getTokenEndpoint(),
+    rotateCSRFToken: (req, res, accessToken) => csrfProtection.rotateToken(req, res, accessToken)
+};
@@ -68,17 +68,46 @@ const logger = winston.createLogger({
 });
 
 // Add console transport for development
+// LOG_CONSOLE: stdout (default), stderr or off - tests use stderr, the test runner reads its results from stdout
+const LOG_CONSOLE = process.env.LOG_CONSOLE || (process.env.NODE_ENV === 'test' ? 'stderr' : 'stdout');
 if (process.env.NODE_ENV !== 'production') {
     logger.add(new winston.transports.Console({
-        format: consoleFormat
+        format: consoleFormat,
+        silent: LOG_CONSOLE === 'off',
+        stderrLevels: LOG_CONSOLE === 'stderr' ? Object.keys(winston.config.npm.levels) : []
     }));
 }
 
+// Most recent security events, kept in memory for the admin dashboard
+const MAX_RECENT_EVENTS = 200;
+const recentSecurityEvents = [];
+let lastEventId = 0;
+
+const recordSecurityEvent = (category, entry) => {
+    recentSecurityEvents.push({ id: ++lastEventId, category, ...entry });
+    if (recentSecurityEvents.length > MAX_RECENT_EVENTS) {
+        recentSecurityEvents.shift();
+    }
+};
+
+// Events newer than the given event id (newest last)
+const getRecentSecurityEvents = ({ since = 0, limit = 50 } = {}) => {
+    return recentSecurityEvents
+        .filter(event => event.id > since)
+        .slice(-limit);
+};
+
+// Write a security log entry and keep it in the recent events buffer
+const logSecurityEvent = (level, category, entry) => {
+    logger[level](category, entry);
+    recordSecurityEvent(category, entry);
+};
+
 // Security-specific logging functions
 const securityLogger = {
     // Log authentication attempts
     logAuth: (event, data) => {
-        logger.info('AUTH_EVENT', {
+        logSecurityEvent('info', 'AUTH_EVENT', {
             event,
             timestamp: new Date().toISOString(),
             ip: data.ip,
@@ -91,7 +120,7 @@ const securityLogger = {
     
     // Log security violations
     logSecurityViolation: (type, data) => {
-        logger.warn('SECURITY_VIOLATION', {
+        logSecurityEvent('warn', 'SECURITY_VIOLATION', {
             type,
             timestamp: new Date().toISOString(),
             ip: data.ip,
@@ -99,13 +128,15 @@ const securityLogger = {
             url: data.url,
             method: data.method,
             payload: data.payload,
-            reason: data.reason
+            reason: data.reason,
+            severity: data.severity,
+            action: data.action
         });
     },
     
     // Log rate limiting events
     logRateLimit: (data) => {
-        logger.warn('RATE_LIMIT_EXCEEDED', {
+        logSecurityEvent('warn', 'RATE_LIMIT_EXCEEDED', {
             timestamp: new Date().toISOString(),
             ip: data.ip,
             url: data.url,
@@ -115,6 +146,22 @@ const securityLogger = {
         });
     },
     
+    // Log Content-Security-Policy violations reported by browsers
+    logCSPViolation: (data) => {
+        logSecurityEvent('warn', 'CSP_VIOLATION', {
+            timestamp: new Date().toISOString(),
+            directive: data.directive,
+            blockedUri: data.blockedUri,
+            documentUri: data.documentUri,
+            sourceFile: data.sourceFile,
+            lineNumber: data.lineNumber,
+            disposition: data.disposition,
+            count: data.count,
+            ip: data.ip,
+            userAgent: data.userAgent
+        });
+    },
+    
     // Log input sanitization
     logSanitization: (data) => {
         logger.info('INPUT_SANITIZED', {
@@ -130,7 +177,7 @@ const securityLogger = {
     
     // Log admin actions
     logAdminAction: (action, data) => {
-        logger.info('ADMIN_ACTION', {
+        logSecurityEvent('info', 'ADMIN_ACTION', {
             action,
             timestamp: new Date().toISOString(),
             adminId: data.adminId,
@@ -196,6 +243,7 @@ const errorLogger = (err, req, res, next) => {
 module.exports = {
     logger,
     securityLogger,
+    getRecentSecurityEvents,
     requestLogger,
     errorLogger
 };
\ No newline at end of file
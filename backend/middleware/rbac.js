@@ -0,0 +1,52 @@
+const { hasRole, hasPermission, isValidRole } = require('../config/roles');
+const { securityLogger } = require('./logger');
+
+// Log and reject a request that lacks the required role/permission
+// Denials go through the security logger only - security.log, the console and the admin events view
+const denyAccess = (req, res, reason) => {
+  securityLogger.logSecurityViolation('ACCESS_DENIED', {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    url: req.originalUrl,
+    method: req.method,
+    payload: { userId: req.user?.id, email: req.user?.email, role: req.user?.role },
+    reason
+  });
+
+  return res.status(403).json({
+    status: 'error',
+    message: 'You do not have permission to perform this action',
+    data: null
+  });
+};
+
+// Require a minimum role - use after authenticateSupabase / authenticateStrict
+// requireRole('moderator') admits moderators and admins
+const requireRole = (role) => {
+  if (!isValidRole(role)) {
+    throw new Error(`requireRole: unknown role "${role}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, role)) {
+      return denyAccess(req, res, `Role "${role}" required`);
+    }
+    next();
+  };
+};
+
+// Require every listed permission - use after authenticateSupabase / authenticateStrict
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user || !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return denyAccess(req, res, `Missing permission: ${missing.join(', ')}`);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
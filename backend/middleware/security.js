@@ -1,30 +1,20 @@
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const xss = require('xss');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
+const { createLimiterStore } = require('../config/store');
+const { AVATAR_ALLOWED_HOSTS } = require('../config/policy');
+const { securityLogger: securityEventLogger } = require('./logger');
+const { CSP_MODE, CSP_REPORT_URI, CSP_REPORT_GROUP } = require('./csp-report');
+const { findThreats } = require('../config/threats');
 
 // Create DOMPurify instance for server-side use
 const window = new JSDOM('').window;
 const DOMPurify = createDOMPurify(window);
 
-// Suspicious path detection for security monitoring
-const isSuspiciousPath = (path) => {
-    const suspiciousPaths = [
-        '.env', '.htaccess', 'config', '.git', '.svn', 'cvs', 'backup',
-        'admin', 'administrator', 'wp-admin', 'phpmyadmin', 'adminer',
-        'phpinfo', 'server-status', 'server-info', 'trace.axd', 'elmah',
-        '.ssh/', 'id_rsa', 'id_dsa', '.key', '.pem', 'privatekey',
-        'database.yml', 'databases.yml', 'wp-config', 'configuration.php',
-        'filezilla', 'winscp', 'sftp-config', 'composer.', 'package.json',
-        'actuator/', 'health', 'metrics', 'dump', 'debug', 'test.php'
-    ];
-    
-    const pathLower = path.toLowerCase();
-    return suspiciousPaths.some(suspicious => pathLower.includes(suspicious));
-};
-
 // XSS Protection Configuration
 const xssOptions = {
     whiteList: {
@@ -43,11 +33,19 @@ const xssOptions = {
     css: false
 };
 
+// Settings of every limiter, for the admin dashboard
+const rateLimitSettings = [];
+
 // Rate Limiting Configuration
-const createRateLimit = (windowMs, max, message, skipPaths = []) => {
+// Counters live in the shared store (RATE_LIMIT_STORE), under the limiter's name
+const createRateLimit = (name, windowMs, max, message, skipPaths = []) => {
+    rateLimitSettings.push({ name, windowMs, max });
+
     return rateLimit({
         windowMs,
         max,
+        store: createLimiterStore(name),
+        passOnStoreError: true, // An unreachable store must not take the whole API down
         message: {
             status: 'error',
             message,
@@ -62,7 +60,8 @@ const createRateLimit = (windowMs, max, message, skipPaths = []) => {
         },
         handler: (req, res) => {
             const path = req.originalUrl;
-            const isSuspicious = isSuspiciousPath(path);
+            // Requests matching a "log" threat rule get this far (see threatDetection)
+            const isSuspicious = req.threats?.length > 0;
             
             if (isSuspicious) {
                 console.log(`🚨 SECURITY ALERT: Potential attack detected from IP: ${req.ip} on ${path}`);
@@ -70,6 +69,14 @@ const createRateLimit = (windowMs, max, message, skipPaths = []) => {
                 console.log(`🚨 Rate limit exceeded for IP: ${req.ip} on ${path}`);
             }
             
+            securityEventLogger.logRateLimit({
+                ip: req.ip,
+                url: path,
+                userAgent: req.get('User-Agent'),
+                limit: `${name}: ${max}`,
+                windowMs
+            });
+            
             res.status(429).json({
                 status: 'error',
                 message,
@@ -81,6 +88,7 @@ const createRateLimit = (windowMs, max, message, skipPaths = []) => {
 
 // General API rate limiting (exclude static assets)
 const generalLimiter = createRateLimit(
+    'general',
     15 * 60 * 1000, // 15 minutes
     100, // 100 requests per 15 minutes
     'Too many requests from this IP, please try again later',
@@ -89,6 +97,7 @@ const generalLimiter = createRateLimit(
 
 // Strict rate limiting for auth endpoints
 const authLimiter = createRateLimit(
+    'auth',
     15 * 60 * 1000, // 15 minutes
     5, // 5 attempts per 15 minutes
     'Too many authentication attempts, please try again later'
@@ -96,14 +105,73 @@ const authLimiter = createRateLimit(
 
 // Registration rate limiting (prevent spam accounts)
 const registerLimiter = createRateLimit(
+    'register',
     60 * 60 * 1000, // 1 hour
     3, // 3 registration attempts per hour
     'Too many registration attempts, please try again in an hour'
 );
 
+// Token refresh rate limiting (clients refresh shortly before expiry)
+const refreshLimiter = createRateLimit(
+    'refresh',
+    15 * 60 * 1000, // 15 minutes
+    30, // 30 refreshes per 15 minutes
+    'Too many token refresh attempts, please try again later'
+);
+
+// Password recovery rate limiting (prevent reset email flooding)
+const passwordResetLimiter = createRateLimit(
+    'password-reset',
+    60 * 60 * 1000, // 1 hour
+    5, // 5 password recovery attempts per hour
+    'Too many password reset attempts, please try again in an hour'
+);
+
+// Verification email rate limiting (prevent confirmation email flooding)
+const verificationLimiter = createRateLimit(
+    'verification',
+    60 * 60 * 1000, // 1 hour
+    5, // 5 verification requests per hour
+    'Too many verification requests, please try again in an hour'
+);
+
+// MFA code rate limiting (6-digit codes must not be brute-forced)
+const mfaLimiter = createRateLimit(
+    'mfa',
+    15 * 60 * 1000, // 15 minutes
+    10, // 10 MFA challenges/verifications per 15 minutes
+    'Too many verification attempts, please try again later'
+);
+
+// Username availability rate limiting (the check is debounced, but must not be usable to enumerate users)
+const usernameCheckLimiter = createRateLimit(
+    'username-check',
+    15 * 60 * 1000, // 15 minutes
+    60, // 60 lookups per 15 minutes
+    'Too many username checks, please try again later'
+);
+
+// Breached-password range lookups (the frontend checks passwords as they are typed)
+const breachCheckLimiter = createRateLimit(
+    'breach-check',
+    15 * 60 * 1000, // 15 minutes
+    60, // 60 lookups per 15 minutes
+    'Too many password checks, please try again later'
+);
+
+// CSP violation reports (a page with a broken policy can send many per view)
+const cspReportLimiter = createRateLimit(
+    'csp-report',
+    15 * 60 * 1000, // 15 minutes
+    300, // 300 reports per 15 minutes
+    'Too many CSP reports'
+);
+
 // Slow down middleware for repeated requests
 const speedLimiter = slowDown({
     windowMs: 15 * 60 * 1000, // 15 minutes
+    store: createLimiterStore('slowdown'),
+    passOnStoreError: true,
     delayAfter: 2, // allow 2 requests per windowMs without delay
     delayMs: 500, // add 500ms delay per request after delayAfter
     maxDelayMs: 20000, // maximum delay of 20 seconds
@@ -113,19 +181,40 @@ const speedLimiter = slowDown({
     }
 });
 
+// Per-request CSP nonce - must run before helmetConfig
+// Served HTML gets it on its script and style tags (see the SPA handler in server.js)
+const cspNonce = (req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+};
+
+const nonceSource = (req, res) => `'nonce-${res.locals.cspNonce}'`;
+
 // Helmet security headers configuration
-const helmetConfig = helmet({
+// Scripts only run with the request's nonce; 'strict-dynamic' extends trust to the scripts they load
+// Violations are reported to CSP_REPORT_URI; CSP_MODE=report-only sends the policy as
+// Content-Security-Policy-Report-Only so a stricter policy can be tried out without breaking pages
+const helmetMiddleware = helmet({
     contentSecurityPolicy: {
+        reportOnly: CSP_MODE === 'report-only',
         directives: {
             defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
-            imgSrc: ["'self'", "data:", "http:", "https:"],
-            connectSrc: ["'self'", process.env.SUPABASE_URL || "", "http:", "https:"],
+            styleSrc: ["'self'", nonceSource],
+            scriptSrc: [nonceSource, "'strict-dynamic'"],
+            imgSrc: ["'self'", "data:", ...AVATAR_ALLOWED_HOSTS.flatMap(host => [`https://${host}`, `https://*.${host}`])],
+            connectSrc: ["'self'", process.env.SUPABASE_URL].filter(Boolean),
             fontSrc: ["'self'"],
             objectSrc: ["'none'"],
             mediaSrc: ["'self'"],
             frameSrc: ["'none'"],
+            baseUri: ["'self'"],
+            formAction: ["'self'"],
+            frameAncestors: ["'none'"],
+            // Plain HTTP deployments must not have their asset requests upgraded to HTTPS
+            // (report-only policies cannot upgrade requests at all)
+            upgradeInsecureRequests: process.env.NODE_ENV === 'production' && CSP_MODE === 'enforce' ? [] : null,
+            reportUri: [CSP_REPORT_URI], // Legacy reporting (Firefox, older browsers)
+            reportTo: [CSP_REPORT_GROUP] // Reporting API (Reporting-Endpoints header below)
         },
     },
     crossOriginEmbedderPolicy: false, // Disable for HTTP
@@ -136,6 +225,11 @@ const helmetConfig = helmet({
     forceHTTPSRedirect: false // Never redirect to HTTPS
 });
 
+const helmetConfig = (req, res, next) => {
+    res.set('Reporting-Endpoints', `${CSP_REPORT_GROUP}="${CSP_REPORT_URI}"`);
+    helmetMiddleware(req, res, next);
+};
+
 // Input sanitization middleware
 const sanitizeInput = (req, res, next) => {
     console.log('🧹 Sanitizing input for:', req.originalUrl);
@@ -226,48 +320,108 @@ const validateContentType = (req, res, next) => {
     next();
 };
 
-// Security threat detection middleware
-const threatDetection = (req, res, next) => {
-    const path = req.originalUrl;
-    const userAgent = req.get('User-Agent') || '';
-    const ip = req.ip;
-    
-    if (isSuspiciousPath(path)) {
-        console.log('🚨 THREAT DETECTED:', {
-            type: 'Suspicious Path Access',
-            path: path,
-            ip: ip,
-            userAgent: userAgent.substring(0, 200), // Limit length
-            timestamp: new Date().toISOString(),
-            method: req.method
-        });
-        
-        // You could add additional actions here:
-        // - Log to security file
-        // - Send alert to monitoring system  
-        // - Block IP temporarily
-        // - Return 404 instead of 429 to avoid revealing information
-        
-        return res.status(404).json({
-            status: 'error',
-            message: 'Not found',
-            data: null
+// Threat detection (rules in config/threat-rules.json, see config/threats.js)
+// The matched rule with the highest severity decides what happens to the request:
+//   log    - record it and carry on
+//   404    - pretend the resource does not exist
+//   403    - refuse the request
+//   tarpit - hold the connection for THREAT_TARPIT_MS, then 404 (slows scanners down)
+const THREAT_TARPIT_MS = parseInt(process.env.THREAT_TARPIT_MS) || 10000;
+const MAX_TARPITTED_CONNECTIONS = 50; // Beyond this, tarpitted requests get an immediate 404
+let tarpittedConnections = 0;
+
+const sendNotFound = (res) => {
+    res.status(404).json({
+        status: 'error',
+        message: 'Not found',
+        data: null
+    });
+};
+
+const tarpit = (res) => {
+    if (tarpittedConnections >= MAX_TARPITTED_CONNECTIONS) return sendNotFound(res);
+
+    tarpittedConnections++;
+    const timer = setTimeout(() => sendNotFound(res), THREAT_TARPIT_MS);
+    // Fires once the response is sent or the client gives up
+    res.on('close', () => {
+        clearTimeout(timer);
+        tarpittedConnections--;
+    });
+};
+
+// stage: "request" (path, query, headers - runs before rate limiting) or "body" (after body parsing)
+const createThreatDetection = (stage) => (req, res, next) => {
+    const threats = findThreats(req, stage);
+    if (threats.length === 0) return next();
+
+    const userAgent = (req.get('User-Agent') || '').substring(0, 200); // Limit length
+    const { rule } = threats[0];
+
+    console.log('🚨 THREAT DETECTED:', {
+        rules: threats.map(threat => threat.rule.id),
+        action: rule.action,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent,
+        timestamp: new Date().toISOString(),
+        method: req.method
+    });
+
+    threats.forEach(threat => {
+        securityEventLogger.logSecurityViolation('THREAT_DETECTED', {
+            ip: req.ip,
+            userAgent,
+            url: req.originalUrl,
+            method: req.method,
+            payload: `${threat.target}: ${threat.match}`,
+            reason: `${threat.rule.id}: ${threat.rule.description}`,
+            severity: threat.rule.severity,
+            action: threat.rule.action
         });
+    });
+
+    req.threats = [...(req.threats || []), ...threats];
+
+    switch (rule.action) {
+        case 'log':
+            return next();
+        case '403':
+            return res.status(403).json({
+                status: 'error',
+                message: 'Forbidden',
+                data: null
+            });
+        case 'tarpit':
+            return tarpit(res);
+        default:
+            return sendNotFound(res);
     }
-    
-    next();
 };
 
+const threatDetection = createThreatDetection('request');
+const bodyThreatDetection = createThreatDetection('body');
+
 module.exports = {
+    cspNonce,
     helmetConfig,
     generalLimiter,
     authLimiter,
     registerLimiter,
+    refreshLimiter,
+    passwordResetLimiter,
+    verificationLimiter,
+    mfaLimiter,
+    usernameCheckLimiter,
+    breachCheckLimiter,
+    cspReportLimiter,
     speedLimiter,
+    rateLimitSettings,
     sanitizeInput,
     securityLogger,
     validateContentType,
     threatDetection,
+    bodyThreatDetection,
     xss: (input) => xss(input, xssOptions),
     domPurify: (input) => DOMPurify.sanitize(input)
 };
\ No newline at end of file
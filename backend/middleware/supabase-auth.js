@@ -1,20 +1,100 @@
-const { verifySupabaseToken, getUserProfile } = require('../config/supabase');
+const { verifySupabaseToken, getUserProfile, decodeJwtPayload, hasVerifiedFactors } = require('../config/supabase');
+const { resolveRole, getPermissions } = require('../config/roles');
+const { namespace } = require('../config/store');
 
-// Middleware to verify Supabase JWT token
-const authenticateSupabase = async (req, res, next) => {
+// Cookie session mode - tokens live in httpOnly cookies instead of browser storage
+const AUTH_COOKIE_MODE = process.env.AUTH_SESSION_MODE === 'cookie';
+const ACCESS_COOKIE = 'sb-access-token';
+const REFRESH_COOKIE = 'sb-refresh-token';
+const REFRESH_COOKIE_PATH = '/api/token'; // Only sent to the refresh endpoint
+const REFRESH_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const authCookieOptions = (path, maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production' || process.env.AUTH_COOKIE_SECURE === 'true',
+  sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+  path,
+  ...(maxAge !== undefined && { maxAge })
+});
+
+// Set access and refresh cookies from a Supabase session
+const setAuthCookies = (res, session) => {
+  const accessMaxAge = Math.max(session.expires_at * 1000 - Date.now(), 0);
+  res.cookie(ACCESS_COOKIE, session.access_token, authCookieOptions('/', accessMaxAge));
+  res.cookie(REFRESH_COOKIE, session.refresh_token, authCookieOptions(REFRESH_COOKIE_PATH, REFRESH_COOKIE_MAX_AGE));
+};
+
+// Clear auth cookies (paths must match the ones used when setting them)
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, authCookieOptions('/'));
+  res.clearCookie(REFRESH_COOKIE, authCookieOptions(REFRESH_COOKIE_PATH));
+};
+
+// Hand a Supabase session to the client
+// In cookie mode the tokens go into httpOnly cookies and only the expiry is returned
+const issueSession = (res, session) => {
+  if (AUTH_COOKIE_MODE) {
+    setAuthCookies(res, session);
+    return { expires_at: session.expires_at };
+  }
+
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at
+  };
+};
+
+// Session claims used for authorization decisions (token is already verified)
+const getSessionClaims = (token) => {
+  const claims = decodeJwtPayload(token) || {};
+  return {
+    aal: claims.aal || 'aal1', // Authenticator assurance level - aal2 after an MFA challenge
+    amr: claims.amr || [], // Authentication methods used for this session
+    sessionId: claims.session_id || null
+  };
+};
+
+// Build req.user from a verified token and the user's profile
+const buildRequestUser = (supabaseUser, profileResult, token) => {
+  const profile = profileResult.success ? profileResult.profile : null;
+  const role = resolveRole(supabaseUser, profile);
+
+  return {
+    id: supabaseUser.id,
+    email: supabaseUser.email,
+    username: profile ? profile.username : null,
+    profile,
+    role,
+    permissions: getPermissions(role),
+    supabaseUser,
+    ...getSessionClaims(token)
+  };
+};
+
+// Get access token from Authorization header or cookies
+const getRequestToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7); // Remove 'Bearer ' prefix
+  }
+
+  // If no token in header, check cookies (for browser requests)
+  if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+    return req.cookies[ACCESS_COOKIE];
+  }
+
+  return null;
+};
+
+// Middleware factory to verify Supabase JWT token
+// strict verification goes to the auth server on every request (see verifySupabaseToken)
+// Users with a verified MFA factor need an AAL2 session; allowPendingMfa lets their AAL1 session
+// (password accepted, code not yet entered) through - only for the MFA challenge routes and logout
+const createAuthenticate = ({ strict = false, allowPendingMfa = false } = {}) => async (req, res, next) => {
   try {
-    // Get token from Authorization header or cookies
-    const authHeader = req.headers.authorization;
-    let token = null;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    }
-    
-    // If no token in header, check cookies (for browser requests)
-    if (!token && req.cookies && req.cookies['sb-access-token']) {
-      token = req.cookies['sb-access-token'];
-    }
+    const token = getRequestToken(req);
     
     if (!token) {
       return res.status(401).json({
@@ -24,8 +104,8 @@ const authenticateSupabase = async (req, res, next) => {
       });
     }
     
-    // Verify token with Supabase
-    const tokenResult = await verifySupabaseToken(token);
+    // Verify token (locally, or with Supabase in strict mode)
+    const tokenResult = await verifySupabaseToken(token, { strict });
     
     if (!tokenResult.success) {
       return res.status(401).json({
@@ -44,13 +124,32 @@ const authenticateSupabase = async (req, res, next) => {
     }
     
     // Attach user info to request
-    req.user = {
-      id: tokenResult.user.id,
-      email: tokenResult.user.email,
-      username: profileResult.success ? profileResult.profile.username : null,
-      profile: profileResult.success ? profileResult.profile : null,
-      supabaseUser: tokenResult.user
-    };
+    req.user = buildRequestUser(tokenResult.user, profileResult, token);
+    req.accessToken = token; // Used for request-scoped clients and session revocation
+    
+    if (req.user.aal !== 'aal2' && !allowPendingMfa) {
+      let mfaPending;
+      try {
+        mfaPending = await hasVerifiedFactors(tokenResult.user, token, { fullRecord: !tokenResult.verifiedLocally });
+      } catch (error) {
+        // Fail closed - without the factor status an AAL1 session could be a half finished MFA sign-in
+        console.error('MFA status check failed:', error.message);
+        return res.status(503).json({
+          status: 'error',
+          message: 'Could not verify multi-factor authentication status, please try again',
+          data: null
+        });
+      }
+
+      if (mfaPending) {
+        console.log('🚨 MFA code required:', { user: req.user.email, url: req.originalUrl });
+        return res.status(403).json({
+          status: 'error',
+          message: 'Multi-factor authentication is required for this action',
+          data: { mfaRequired: true }
+        });
+      }
+    }
     
     console.log('✅ Authenticated user:', req.user.email);
     next();
@@ -65,33 +164,36 @@ const authenticateSupabase = async (req, res, next) => {
   }
 };
 
+// Default authentication - local JWT verification
+const authenticateSupabase = createAuthenticate();
+
+// Strict authentication for sensitive routes - confirms the session with the auth server
+const authenticateStrict = createAuthenticate({ strict: true });
+
+// Authentication that also accepts a session still waiting for its MFA code
+const authenticatePendingMfa = createAuthenticate({ allowPendingMfa: true });
+
 // Optional authentication middleware (doesn't fail if no token)
+// A session still waiting for its MFA code counts as anonymous, like an invalid token
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    let token = null;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-    }
-    
-    if (!token && req.cookies && req.cookies['sb-access-token']) {
-      token = req.cookies['sb-access-token'];
-    }
+    const token = getRequestToken(req);
     
     if (token) {
       const tokenResult = await verifySupabaseToken(token);
       
       if (tokenResult.success) {
-        const profileResult = await getUserProfile(tokenResult.user.id);
-        
-        req.user = {
-          id: tokenResult.user.id,
-          email: tokenResult.user.email,
-          username: profileResult.success ? profileResult.profile.username : null,
-          profile: profileResult.success ? profileResult.profile : null,
-          supabaseUser: tokenResult.user
-        };
+        const claims = getSessionClaims(token);
+        // Throws when the factor status is unknown - the catch below leaves the request anonymous
+        const mfaPending = claims.aal !== 'aal2' &&
+          await hasVerifiedFactors(tokenResult.user, token, { fullRecord: !tokenResult.verifiedLocally });
+
+        if (!mfaPending) {
+          const profileResult = await getUserProfile(tokenResult.user.id);
+          
+          req.user = buildRequestUser(tokenResult.user, profileResult, token);
+          req.accessToken = token;
+        }
       }
     }
     
@@ -103,7 +205,83 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Require a multi-factor (AAL2) session from accounts with a verified MFA factor - use after authentication
+// on sensitive routes; accounts without MFA cannot reach AAL2 and pass, their password is all they have
+const requireAAL2 = async (req, res, next) => {
+  if (req.user?.aal === 'aal2') return next();
+
+  let enrolled;
+  try {
+    enrolled = await hasVerifiedFactors(req.user.supabaseUser, req.accessToken);
+  } catch (error) {
+    // Fail closed - same as the authentication middleware
+    console.error('MFA status check failed:', error.message);
+    return res.status(503).json({
+      status: 'error',
+      message: 'Could not verify multi-factor authentication status, please try again',
+      data: null
+    });
+  }
+
+  if (enrolled) {
+    console.log('🚨 AAL2 required:', { user: req.user.email, url: req.originalUrl, aal: req.user.aal });
+    return res.status(403).json({
+      status: 'error',
+      message: 'Multi-factor authentication is required for this action',
+      data: { mfaRequired: true }
+    });
+  }
+  
+  next();
+};
+
+// Sensitive account actions need a recent sign-in or password confirmation
+const REAUTH_MAX_AGE_MS = (parseInt(process.env.REAUTH_MAX_AGE_MINUTES) || 5) * 60 * 1000;
+const reauthStore = namespace('reauth');
+
+// Remember that the caller's session just confirmed its password (see POST /api/account/reauthenticate)
+const markRecentAuth = async (req) => {
+  await reauthStore.set(req.user.sessionId || req.user.id, Date.now(), REAUTH_MAX_AGE_MS);
+  return new Date(Date.now() + REAUTH_MAX_AGE_MS).toISOString();
+};
+
+// Require the session to have authenticated within REAUTH_MAX_AGE_MINUTES - use after authentication
+// A session counts as recent when its sign-in (amr timestamps) or a password confirmation is that fresh
+const requireRecentAuth = async (req, res, next) => {
+  const signedInAt = Math.max(0, ...req.user.amr.map(entry => (entry.timestamp || 0) * 1000));
+
+  let confirmedAt = null;
+  try {
+    confirmedAt = await reauthStore.get(req.user.sessionId || req.user.id);
+  } catch (error) {
+    // Fail closed - the user can still sign in again
+    console.error('⚠️  Re-authentication check failed:', error.message);
+  }
+
+  if (Math.max(signedInAt, confirmedAt || 0) >= Date.now() - REAUTH_MAX_AGE_MS) {
+    return next();
+  }
+
+  console.log('🚨 Recent authentication required:', { user: req.user.email, url: req.originalUrl });
+  return res.status(403).json({
+    status: 'error',
+    message: 'Please confirm your password to continue',
+    data: { reauthenticationRequired: true }
+  });
+};
+
 module.exports = {
   authenticateSupabase,
-  optionalAuth
+  authenticateStrict,
+  authenticatePendingMfa,
+  optionalAuth,
+  requireAAL2,
+  requireRecentAuth,
+  markRecentAuth,
+  issueSession,
+  getRequestToken,
+  setAuthCookies,
+  clearAuthCookies,
+  AUTH_COOKIE_MODE,
+  REFRESH_COOKIE
 };
\ No newline at end of file
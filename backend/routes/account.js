@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  supabaseAdmin,
+  createRequestClient,
+  getUserProfile,
+  getVerifiedFactors,
+  listUserSessions,
+  revokeSession,
+  invalidateUserProfile
+} = require('../config/supabase');
+const { listUserActivity, recordActivity, recordActivityByEmail } = require('../config/activity');
+const {
+  authenticateStrict,
+  requireAAL2,
+  requireRecentAuth,
+  markRecentAuth,
+  clearAuthCookies
+} = require('../middleware/supabase-auth');
+const { accountLockout } = require('../middleware/account-lockout');
+const { securityLogger } = require('../middleware/logger');
+const { verifyCSRFToken, rotateCSRFToken } = require('../middleware/csrf');
+const { passwordRules } = require('../config/passwords');
+
+const router = express.Router();
+
+// Every account route that changes state needs a CSRF token (GET requests pass through)
+router.use(verifyCSRFToken);
+
+// Activity rows are read in pages of this size for the export, up to the cap
+const EXPORT_ACTIVITY_PAGE_SIZE = 1000;
+const EXPORT_ACTIVITY_MAX_ROWS = 10000;
+
+// Validation middleware
+const validateReauthenticate = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const validateChangePassword = [
+  passwordRules('password')
+];
+
+const validateDeleteAccount = [
+  body('confirm')
+    .equals('DELETE')
+    .withMessage('Type DELETE to confirm account deletion')
+];
+
+// The caller's whole activity history, newest first
+const getAllActivity = async (accessToken) => {
+  const activities = [];
+
+  for (let page = 1; activities.length < EXPORT_ACTIVITY_MAX_ROWS; page++) {
+    const result = await listUserActivity(accessToken, { page, perPage: EXPORT_ACTIVITY_PAGE_SIZE });
+    if (!result.success) return result;
+
+    activities.push(...result.activities);
+    if (result.activities.length < EXPORT_ACTIVITY_PAGE_SIZE) break;
+  }
+
+  return { success: true, activities };
+};
+
+// Auth account details worth exporting (no tokens or internal identifiers of other systems)
+const exportAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  phone: user.phone || null,
+  createdAt: user.created_at,
+  emailConfirmedAt: user.email_confirmed_at || null,
+  lastSignInAt: user.last_sign_in_at || null,
+  appMetadata: user.app_metadata || {},
+  userMetadata: user.user_metadata || {},
+  identities: (user.identities || []).map(identity => ({
+    provider: identity.provider,
+    createdAt: identity.created_at,
+    lastSignInAt: identity.last_sign_in_at
+  })),
+  mfaFactors: getVerifiedFactors(user)
+});
+
+// Confirm the password of the signed-in user before a sensitive action
+// Wrong passwords count towards the account lockout like failed logins
+router.post('/reauthenticate', authenticateStrict, validateReauthenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const state = await accountLockout.acquire(req.user.email).catch(() => ({ allowed: true }));
+    if (state.release) res.once('close', state.release);
+    if (!state.allowed) {
+      res.set('Retry-After', String(state.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many failed attempts. Please try again later.',
+        data: { locked: state.locked, retryAfter: state.retryAfter }
+      });
+    }
+
+    // Check the password with a throwaway sign-in, then end that extra session
+    const client = createRequestClient();
+    const { error } = await client.auth.signInWithPassword({
+      email: req.user.email,
+      password: req.body.password
+    });
+
+    if (error) {
+      if (error.message.includes('Invalid login credentials')) {
+        await accountLockout.recordFailure(req.user.email, { ip: req.ip, userAgent: req.get('User-Agent') });
+        recordActivityByEmail(req.user.email, 'LOGIN_FAILED', {
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          description: 'Wrong password when confirming identity'
+        });
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Incorrect password',
+        data: null
+      });
+    }
+
+    await client.auth.signOut({ scope: 'local' });
+    await accountLockout.recordSuccess(req.user.email);
+
+    const validUntil = await markRecentAuth(req);
+
+    console.log('🔑 Identity confirmed for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Identity confirmed',
+      data: { validUntil }
+    });
+
+  } catch (error) {
+    console.error('Reauthenticate error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while confirming identity',
+      data: null
+    });
+  }
+});
+
+// Set a new password for the signed-in user (identity confirmed through /reauthenticate)
+// Every other session is signed out; this one stays signed in
+// MFA accounts need an AAL2 session, so a stolen password alone cannot replace itself
+router.post('/password', authenticateStrict, requireRecentAuth, requireAAL2, validateChangePassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+
+    const { error } = await createRequestClient(req.accessToken, req.user.supabaseUser)
+      .auth.updateUser({ password: req.body.password });
+
+    if (error) {
+      console.error('Password change error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: error.message.includes('different')
+          ? 'New password must be different from your current password'
+          : 'Failed to change password',
+        data: null
+      });
+    }
+
+    const revokeResult = await revokeSession(req.accessToken, 'others');
+    if (!revokeResult.success) {
+      console.error('Sign out other sessions after password change failed:', revokeResult.error);
+    }
+
+    recordActivity(req.user.id, 'PASSWORD_CHANGED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      description: 'Password changed, other sessions signed out'
+    });
+
+    console.log('🔑 Password changed for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed. Your other sessions have been signed out.',
+      data: { otherSessionsRevoked: revokeResult.success }
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while changing password',
+      data: null
+    });
+  }
+});
+
+// Download everything stored about the caller as a JSON file
+router.get('/export', authenticateStrict, async (req, res) => {
+  try {
+    const [profileResult, activityResult, sessionsResult] = await Promise.all([
+      getUserProfile(req.user.id),
+      getAllActivity(req.accessToken),
+      listUserSessions(req.accessToken)
+    ]);
+
+    recordActivity(req.user.id, 'DATA_EXPORTED', { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    console.log('📦 Account data exported for:', req.user.email);
+
+    const exportedAt = new Date().toISOString();
+    res.set('Content-Disposition', `attachment; filename="account-export-${exportedAt.slice(0, 10)}.json"`);
+    res.status(200).json({
+      status: 'success',
+      message: 'Account data exported successfully',
+      data: {
+        exportedAt,
+        account: exportAuthUser(req.user.supabaseUser),
+        profile: profileResult.success ? profileResult.profile : null,
+        sessions: sessionsResult.success ? sessionsResult.sessions : null,
+        activity: activityResult.success ? activityResult.activities : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while exporting account data',
+      data: null
+    });
+  }
+});
+
+// Permanently delete the caller's account - profile, sessions and activity cascade with it
+// MFA accounts need an AAL2 session, so a stolen password alone cannot delete them
+router.delete('/', authenticateStrict, requireRecentAuth, requireAAL2, validateDeleteAccount, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Account deletion is unavailable: SUPABASE_SERVICE_ROLE_KEY is not configured',
+        data: null
+      });
+    }
+
+
+    const { error } = await supabaseAdmin.auth.admin.deleteUser(req.user.id);
+
+    if (error) {
+      console.error('Account deletion error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to delete account',
+        data: null
+      });
+    }
+
+    invalidateUserProfile(req.user.id);
+    await accountLockout.recordSuccess(req.user.email);
+    clearAuthCookies(res);
+    rotateCSRFToken(req, res, null);
+
+    // The activity log is deleted with the account - the security log keeps the audit record
+    securityLogger.logAuth('ACCOUNT_DELETED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      email: req.user.email,
+      success: true,
+      reason: `Account ${req.user.id} deleted by its owner`
+    });
+
+    console.log('🗑️  Account deleted by owner:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account has been deleted',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while deleting account',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { ACTIVITY_TYPES, listUserActivity } = require('../config/activity');
+const { authenticateSupabase } = require('../middleware/supabase-auth');
+const { describeDevice } = require('../config/devices');
+
+const router = express.Router();
+
+// Validation middleware
+const validateActivityList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .toInt()
+    .withMessage('Page must be a positive number'),
+  query('perPage')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('perPage must be between 1 and 100'),
+  // Comma separated, e.g. ?type=LOGIN,LOGIN_FAILED
+  query('type')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(type => type.trim().toUpperCase()).filter(Boolean))
+    .custom(types => types.length > 0 && types.every(type => ACTIVITY_TYPES.includes(type)))
+    .withMessage(`Type must be one of: ${ACTIVITY_TYPES.join(', ')}`),
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('since must be an ISO 8601 date'),
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date')
+];
+
+// Shape an activity row for API responses
+const formatActivity = (activity) => ({
+  id: activity.id,
+  type: activity.activity_type,
+  description: activity.description,
+  ip: activity.ip_address,
+  device: describeDevice(activity.user_agent),
+  userAgent: activity.user_agent,
+  metadata: activity.metadata,
+  createdAt: activity.created_at
+});
+
+// The caller's own security activity, newest first
+router.get('/', authenticateSupabase, validateActivityList, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const page = req.query.page || 1;
+    const perPage = req.query.perPage || 20;
+    const { type: types, since, until } = req.query;
+
+    const result = await listUserActivity(req.accessToken, { page, perPage, types, since, until });
+
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to retrieve account activity',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account activity retrieved successfully',
+      data: {
+        activities: result.activities.map(formatActivity),
+        page,
+        perPage,
+        total: result.total,
+        types: ACTIVITY_TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('List activity error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while retrieving account activity',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,726 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  supabase,
+  supabaseAdmin,
+  getVerifiedFactors,
+  invalidateUserProfile,
+  getProfileCacheStats
+} = require('../config/supabase');
+const { resolveRole, hasRole } = require('../config/roles');
+const { authenticateStrict } = require('../middleware/supabase-auth');
+const { requirePermission } = require('../middleware/rbac');
+const { accountLockout } = require('../middleware/account-lockout');
+const { securityLogger, getRecentSecurityEvents } = require('../middleware/logger');
+const { rateLimitSettings } = require('../middleware/security');
+const { getCSPReportSummary } = require('../middleware/csp-report');
+const { store } = require('../config/store');
+const { verifyCSRFToken } = require('../middleware/csrf');
+
+const router = express.Router();
+
+// Where password reset emails send the user back to
+const FRONTEND_URL = process.env.FRONTEND_URL || process.env.PRODUCTION_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// "Indefinite" ban - Supabase bans take a duration
+const PERMANENT_BAN_DURATION = '876000h'; // 100 years
+
+// Every admin route requires a session confirmed with the auth server; each route checks its permission
+// User management changes state - CSRF token required (GET requests pass through)
+router.use(verifyCSRFToken, authenticateStrict);
+
+// Validation middleware
+const validateAccountEmail = (location) => [
+  location('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const validateUserId = [
+  param('id')
+    .isUUID()
+    .withMessage('A valid user ID is required')
+];
+
+const validateUserList = [
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .toInt()
+    .withMessage('Page must be a positive number'),
+  query('perPage')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('perPage must be between 1 and 100'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .matches(/^[a-zA-Z0-9@._+-]+$/)
+    .withMessage('Search may only contain letters, numbers and @._+-')
+];
+
+const validateBan = [
+  body('duration')
+    .optional()
+    .matches(/^(\d+h|permanent)$/)
+    .withMessage('Duration must be a number of hours (e.g. "24h") or "permanent"'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// User management needs the service role key - fail cleanly without it
+const requireServiceKey = (req, res, next) => {
+  if (!supabaseAdmin) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'User management is unavailable: SUPABASE_SERVICE_ROLE_KEY is not configured',
+      data: null
+    });
+  }
+  next();
+};
+
+// Administrators may not ban or delete themselves
+const preventSelfAction = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'You cannot perform this action on your own account',
+      data: null
+    });
+  }
+  next();
+};
+
+// Shape an auth user (and their profile) for admin responses
+const formatAdminUser = (user, profile = null) => ({
+  id: user.id,
+  email: user.email,
+  username: profile?.username || user.user_metadata?.username || null,
+  fullName: profile?.full_name || null,
+  role: resolveRole(user, profile),
+  emailConfirmed: !!user.email_confirmed_at,
+  bannedUntil: user.banned_until || null,
+  mfaEnabled: getVerifiedFactors(user).length > 0,
+  providers: user.app_metadata?.providers || [],
+  lastSignIn: user.last_sign_in_at || null,
+  createdAt: user.created_at
+});
+
+// Profiles for a set of user IDs, keyed by ID
+const getProfilesById = async (ids) => {
+  if (ids.length === 0) return new Map();
+
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .select('*')
+    .in('id', ids);
+
+  if (error) {
+    console.error('Admin profile lookup error:', error.message);
+    return new Map();
+  }
+  return new Map(data.map(profile => [profile.id, profile]));
+};
+
+// Administrators may only ban or delete users below their own role - an admin cannot remove another admin
+// Use after preventSelfAction
+const requireLowerRole = async (req, res, next) => {
+  // Invalid IDs are reported by the route's validation
+  if (!validationResult(req).isEmpty()) return next();
+
+  try {
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(req.params.id);
+
+    if (error || !data.user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        data: null
+      });
+    }
+
+    const profiles = await getProfilesById([data.user.id]);
+    const targetRole = resolveRole(data.user, profiles.get(data.user.id) || null);
+
+    if (hasRole(targetRole, req.user.role)) {
+      securityLogger.logSecurityViolation('ACCESS_DENIED', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        url: req.originalUrl,
+        method: req.method,
+        payload: { userId: req.user.id, email: req.user.email, role: req.user.role, targetUser: data.user.id, targetRole },
+        reason: `Target role "${targetRole}" is not below "${req.user.role}"`
+      });
+
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot perform this action on a user with an equal or higher role',
+        data: null
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('Admin target user lookup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while checking the target user',
+      data: null
+    });
+  }
+};
+
+// Audit an admin action
+const auditAdminAction = (req, action, targetUser, details = {}) => {
+  securityLogger.logAdminAction(action, {
+    adminId: req.user.id,
+    targetUser,
+    ip: req.ip,
+    details: { adminEmail: req.user.email, ...details }
+  });
+};
+
+// List users (paged), or search them by email / username
+router.get('/users', requirePermission('users:read'), requireServiceKey, validateUserList, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const page = req.query.page || 1;
+    const perPage = req.query.perPage || 25;
+    const { search } = req.query;
+
+    if (search) {
+      // Search the profiles table, then load the matching auth users
+      const { data: profiles, error } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .or(`email.ilike.%${search}%,username.ilike.%${search}%`)
+        .order('created_at', { ascending: false })
+        .range((page - 1) * perPage, page * perPage - 1);
+
+      if (error) {
+        console.error('Admin user search error:', error.message);
+        return res.status(400).json({
+          status: 'error',
+          message: 'Failed to search users',
+          data: null
+        });
+      }
+
+      const results = await Promise.all(profiles.map(profile => supabaseAdmin.auth.admin.getUserById(profile.id)));
+      const users = results
+        .map((result, index) => result.data?.user && formatAdminUser(result.data.user, profiles[index]))
+        .filter(Boolean);
+
+      auditAdminAction(req, 'USER_SEARCH', null, { search, results: users.length });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Users retrieved successfully',
+        data: { users, page, perPage, search }
+      });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage });
+
+    if (error) {
+      console.error('Admin list users error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to list users',
+        data: null
+      });
+    }
+
+    const profiles = await getProfilesById(data.users.map(user => user.id));
+
+    auditAdminAction(req, 'USER_LIST', null, { page, perPage });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Users retrieved successfully',
+      data: {
+        users: data.users.map(user => formatAdminUser(user, profiles.get(user.id))),
+        page,
+        perPage,
+        total: data.total
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while listing users',
+      data: null
+    });
+  }
+});
+
+// View one user, including MFA factors and login lockout state
+router.get('/users/:id', requirePermission('users:read'), requireServiceKey, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(req.params.id);
+
+    if (error || !data.user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        data: null
+      });
+    }
+
+    const profiles = await getProfilesById([data.user.id]);
+    const profile = profiles.get(data.user.id) || null;
+
+    auditAdminAction(req, 'USER_VIEW', data.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User retrieved successfully',
+      data: {
+        user: {
+          ...formatAdminUser(data.user, profile),
+          profile,
+          factors: getVerifiedFactors(data.user),
+          lockout: await accountLockout.getStatus(data.user.email)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while retrieving user',
+      data: null
+    });
+  }
+});
+
+// Ban a user - they can no longer sign in or refresh their session
+// Access tokens already issued stay valid until they expire (strict routes reject them at once)
+router.post('/users/:id/ban', requirePermission('users:manage'), requireServiceKey, validateUserId, validateBan, preventSelfAction, requireLowerRole, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const duration = !req.body.duration || req.body.duration === 'permanent'
+      ? PERMANENT_BAN_DURATION
+      : req.body.duration;
+
+    const { data, error } = await supabaseAdmin.auth.admin.updateUserById(req.params.id, { ban_duration: duration });
+
+    if (error) {
+      console.error('Admin ban user error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to ban user',
+        data: null
+      });
+    }
+
+    auditAdminAction(req, 'USER_BAN', req.params.id, {
+      duration: req.body.duration || 'permanent',
+      reason: req.body.reason || null
+    });
+
+    console.log('⛔ User banned by admin:', { user: data.user.email, admin: req.user.email });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User banned',
+      data: { user: formatAdminUser(data.user) }
+    });
+
+  } catch (error) {
+    console.error('Admin ban user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while banning user',
+      data: null
+    });
+  }
+});
+
+// Lift a ban
+router.post('/users/:id/unban', requirePermission('users:manage'), requireServiceKey, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.admin.updateUserById(req.params.id, { ban_duration: 'none' });
+
+    if (error) {
+      console.error('Admin unban user error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to unban user',
+        data: null
+      });
+    }
+
+    auditAdminAction(req, 'USER_UNBAN', req.params.id);
+
+    console.log('✅ User unbanned by admin:', { user: data.user.email, admin: req.user.email });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User unbanned',
+      data: { user: formatAdminUser(data.user) }
+    });
+
+  } catch (error) {
+    console.error('Admin unban user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while unbanning user',
+      data: null
+    });
+  }
+});
+
+// Force a password reset - sends the user a recovery email
+router.post('/users/:id/password-reset', requirePermission('users:manage'), requireServiceKey, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { data, error: userError } = await supabaseAdmin.auth.admin.getUserById(req.params.id);
+
+    if (userError || !data.user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        data: null
+      });
+    }
+
+    if (!data.user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'User has no email address',
+        data: null
+      });
+    }
+
+    const { error } = await supabase.auth.resetPasswordForEmail(data.user.email, {
+      redirectTo: `${FRONTEND_URL}/reset-password`
+    });
+
+    if (error) {
+      console.error('Admin password reset error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to send password reset email',
+        data: null
+      });
+    }
+
+    auditAdminAction(req, 'USER_PASSWORD_RESET', req.params.id);
+
+    console.log('🔑 Password reset forced by admin:', { user: data.user.email, admin: req.user.email });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset email sent',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Admin password reset error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while resetting password',
+      data: null
+    });
+  }
+});
+
+// Mark a user's email address as confirmed
+router.post('/users/:id/confirm-email', requirePermission('users:manage'), requireServiceKey, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.admin.updateUserById(req.params.id, { email_confirm: true });
+
+    if (error) {
+      console.error('Admin confirm email error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to confirm email',
+        data: null
+      });
+    }
+
+    auditAdminAction(req, 'USER_EMAIL_CONFIRM', req.params.id);
+
+    console.log('📧 Email confirmed by admin:', { user: data.user.email, admin: req.user.email });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address confirmed',
+      data: { user: formatAdminUser(data.user) }
+    });
+
+  } catch (error) {
+    console.error('Admin confirm email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while confirming email',
+      data: null
+    });
+  }
+});
+
+// Delete an account (the profile row is removed by ON DELETE CASCADE)
+router.delete('/users/:id', requirePermission('users:manage'), requireServiceKey, validateUserId, preventSelfAction, requireLowerRole, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { error } = await supabaseAdmin.auth.admin.deleteUser(req.params.id);
+
+    if (error) {
+      console.error('Admin delete user error:', error.message);
+      return res.status(error.status === 404 ? 404 : 400).json({
+        status: 'error',
+        message: error.status === 404 ? 'User not found' : 'Failed to delete user',
+        data: null
+      });
+    }
+
+    invalidateUserProfile(req.params.id);
+    auditAdminAction(req, 'USER_DELETE', req.params.id);
+
+    console.log('🗑️  User deleted by admin:', { user: req.params.id, admin: req.user.email });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User deleted',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while deleting user',
+      data: null
+    });
+  }
+});
+
+// Lockout state of an account
+router.get('/lockouts', requirePermission('lockouts:manage'), validateAccountEmail(query), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lockout status retrieved successfully',
+      data: { lockout: await accountLockout.getStatus(req.query.email) }
+    });
+  } catch (error) {
+    console.error('Lockout status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while retrieving lockout status',
+      data: null
+    });
+  }
+});
+
+// Lift a lockout / backoff so the account can sign in again
+router.post('/lockouts/unlock', requirePermission('lockouts:manage'), validateAccountEmail(body), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { email } = req.body;
+    const hadFailures = await accountLockout.unlock(email, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      reason: `Unlocked by ${req.user.email}`
+    });
+
+    securityLogger.logAdminAction('ACCOUNT_UNLOCK', {
+      adminId: req.user.id,
+      targetUser: email,
+      ip: req.ip,
+      details: { hadFailures }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: hadFailures ? 'Account unlocked' : 'Account was not locked',
+      data: { lockout: await accountLockout.getStatus(email) }
+    });
+  } catch (error) {
+    console.error('Account unlock error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while unlocking the account',
+      data: null
+    });
+  }
+});
+
+// Recent security events (auth, violations, rate limits, admin actions)
+// Poll with ?since=<last event id> to receive only new events
+router.get('/security/events', requirePermission('security:read'), [
+  query('since')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('since must be an event id'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .toInt()
+    .withMessage('limit must be between 1 and 200')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      data: { errors: errors.array() }
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Security events retrieved successfully',
+    data: {
+      events: getRecentSecurityEvents({ since: req.query.since, limit: req.query.limit })
+    }
+  });
+});
+
+// Rate limit configuration and currently locked accounts
+router.get('/security/status', requirePermission('security:read'), async (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      message: 'Security status retrieved successfully',
+      data: {
+        store: store.type,
+        rateLimits: rateLimitSettings,
+        lockedAccounts: await accountLockout.listLocked()
+      }
+    });
+  } catch (error) {
+    console.error('Security status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while retrieving security status',
+      data: null
+    });
+  }
+});
+
+// Content-Security-Policy violations reported by browsers, most frequent first
+router.get('/security/csp', requirePermission('security:read'), [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .toInt()
+    .withMessage('limit must be between 1 and 500')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      data: { errors: errors.array() }
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'CSP violation summary retrieved successfully',
+    data: getCSPReportSummary({ limit: req.query.limit })
+  });
+});
+
+// Runtime metrics (cache effectiveness)
+router.get('/metrics', requirePermission('metrics:read'), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    message: 'Metrics retrieved successfully',
+    data: {
+      profileCache: getProfileCacheStats()
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { createRequestClient, getVerifiedFactors, invalidateFactorStatus } = require('../config/supabase');
+const {
+  authenticateSupabase,
+  authenticateStrict,
+  authenticatePendingMfa,
+  requireAAL2,
+  issueSession
+} = require('../middleware/supabase-auth');
+const { securityLogger } = require('../middleware/logger');
+const { verifyCSRFToken, rotateCSRFToken } = require('../middleware/csrf');
+const { recordActivity } = require('../config/activity');
+
+const router = express.Router();
+
+// Every MFA route that changes state needs a CSRF token (GET requests pass through)
+router.use(verifyCSRFToken);
+
+// Name shown for the account in authenticator apps
+const MFA_ISSUER = process.env.MFA_ISSUER || 'WebSecurity';
+
+// Validation middleware
+const validateEnroll = [
+  body('friendlyName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Factor name must be 1-50 characters')
+];
+
+const validateChallenge = [
+  body('factorId')
+    .isUUID()
+    .withMessage('A valid factor ID is required')
+];
+
+const validateVerify = [
+  body('factorId')
+    .isUUID()
+    .withMessage('A valid factor ID is required'),
+  body('challengeId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid challenge ID'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+const validateFactorParam = [
+  param('factorId')
+    .isUUID()
+    .withMessage('A valid factor ID is required')
+];
+
+// Shape a factor for API responses
+const formatFactor = (factor) => ({
+  id: factor.id,
+  type: factor.factor_type,
+  friendlyName: factor.friendly_name || null,
+  status: factor.status,
+  createdAt: factor.created_at
+});
+
+// Request-scoped client acting as the caller
+const clientFor = (req) => createRequestClient(req.accessToken, req.user.supabaseUser);
+
+// List the caller's MFA factors
+router.get('/factors', authenticatePendingMfa, async (req, res) => {
+  try {
+    const { data, error } = await clientFor(req).auth.mfa.listFactors();
+
+    if (error) {
+      console.error('Supabase list factors error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to list MFA factors',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'MFA factors retrieved successfully',
+      data: {
+        aal: req.user.aal,
+        factors: data.all.filter(factor => factor.factor_type === 'totp').map(formatFactor)
+      }
+    });
+
+  } catch (error) {
+    console.error('List factors error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while listing MFA factors',
+      data: null
+    });
+  }
+});
+
+// Start TOTP enrollment - returns the QR code and secret for the authenticator app
+// The factor stays unverified until a code is confirmed through /verify
+router.post('/enroll', authenticateSupabase, validateEnroll, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const client = clientFor(req);
+
+    // Drop abandoned enrollments so they do not pile up or clash on friendly name
+    const { data: existing } = await client.auth.mfa.listFactors();
+    const unverified = (existing?.all || []).filter(factor => factor.status === 'unverified');
+    for (const factor of unverified) {
+      await client.auth.mfa.unenroll({ factorId: factor.id });
+    }
+
+    const { data, error } = await client.auth.mfa.enroll({
+      factorType: 'totp',
+      issuer: MFA_ISSUER,
+      friendlyName: req.body.friendlyName || `Authenticator ${new Date().toISOString().slice(0, 10)}`
+    });
+
+    if (error) {
+      console.error('Supabase MFA enroll error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to start MFA enrollment',
+        data: null
+      });
+    }
+
+    recordActivity(req.user.id, 'MFA_ENROLLMENT_STARTED', { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    console.log('🔐 MFA enrollment started for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then enter the code to finish',
+      data: {
+        factorId: data.id,
+        qrCode: data.totp.qr_code,
+        secret: data.totp.secret,
+        uri: data.totp.uri
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA enroll error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during MFA enrollment',
+      data: null
+    });
+  }
+});
+
+// Create a challenge for a factor (login step or enrollment confirmation)
+router.post('/challenge', authenticatePendingMfa, validateChallenge, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { data, error } = await clientFor(req).auth.mfa.challenge({ factorId: req.body.factorId });
+
+    if (error) {
+      console.error('Supabase MFA challenge error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to create MFA challenge',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'MFA challenge created',
+      data: {
+        challengeId: data.id,
+        expiresAt: data.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA challenge error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during MFA challenge',
+      data: null
+    });
+  }
+});
+
+// Verify a TOTP code - upgrades the session to AAL2 and verifies pending enrollments
+router.post('/verify', authenticatePendingMfa, validateVerify, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { factorId, code } = req.body;
+    const client = clientFor(req);
+
+    let { challengeId } = req.body;
+    if (!challengeId) {
+      const { data: challenge, error: challengeError } = await client.auth.mfa.challenge({ factorId });
+      if (challengeError) {
+        console.error('Supabase MFA challenge error:', challengeError.message);
+        return res.status(400).json({
+          status: 'error',
+          message: 'Failed to create MFA challenge',
+          data: null
+        });
+      }
+      challengeId = challenge.id;
+    }
+
+    const { data, error } = await client.auth.mfa.verify({ factorId, challengeId, code });
+
+    if (error) {
+      securityLogger.logAuth('MFA_VERIFY_FAILED', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        email: req.user.email,
+        success: false,
+        reason: error.message
+      });
+      recordActivity(req.user.id, 'MFA_VERIFY_FAILED', { ip: req.ip, userAgent: req.get('User-Agent') });
+
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification code',
+        data: null
+      });
+    }
+
+    securityLogger.logAuth('MFA_VERIFIED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      email: req.user.email,
+      success: true
+    });
+
+    recordActivity(req.user.id, 'MFA_VERIFIED', { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    // A confirmed enrollment makes MFA mandatory for the account's other sessions
+    invalidateFactorStatus(req.user.id);
+
+    // The session was elevated to AAL2 - replace the CSRF token issued at AAL1
+    rotateCSRFToken(req, res, data.access_token);
+
+    console.log('✅ MFA verified for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification successful',
+      data: {
+        session: issueSession(res, {
+          ...data,
+          expires_at: Math.round(Date.now() / 1000) + data.expires_in
+        }),
+        factors: getVerifiedFactors(data.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during MFA verification',
+      data: null
+    });
+  }
+});
+
+// Remove a factor - requires an AAL2 session so a stolen password alone cannot disable MFA
+router.delete('/factors/:factorId', authenticateStrict, requireAAL2, validateFactorParam, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { error } = await clientFor(req).auth.mfa.unenroll({ factorId: req.params.factorId });
+
+    if (error) {
+      console.error('Supabase MFA unenroll error:', error.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to remove MFA factor',
+        data: null
+      });
+    }
+
+    securityLogger.logAuth('MFA_FACTOR_REMOVED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      email: req.user.email,
+      success: true
+    });
+
+    recordActivity(req.user.id, 'MFA_FACTOR_REMOVED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { factorId: req.params.factorId }
+    });
+
+    invalidateFactorStatus(req.user.id);
+
+    console.log('🔓 MFA factor removed for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'MFA factor removed',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('MFA unenroll error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while removing MFA factor',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
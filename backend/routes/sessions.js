@@ -0,0 +1,186 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const {
+  revokeSession,
+  recordSessionMetadata,
+  listUserSessions,
+  revokeUserSession
+} = require('../config/supabase');
+const { authenticateSupabase, authenticateStrict } = require('../middleware/supabase-auth');
+const { securityLogger } = require('../middleware/logger');
+const { verifyCSRFToken } = require('../middleware/csrf');
+const { describeDevice } = require('../config/devices');
+const { recordActivity } = require('../config/activity');
+
+const router = express.Router();
+
+// Signing sessions out changes state - CSRF token required (GET requests pass through)
+router.use(verifyCSRFToken);
+
+// Validation middleware
+const validateSessionId = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('A valid session ID is required')
+];
+
+// Shape a session for API responses
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: describeDevice(session.user_agent),
+  userAgent: session.user_agent || null,
+  ip: session.ip_address || null,
+  aal: session.aal,
+  createdAt: session.created_at,
+  lastSeenAt: session.last_seen_at,
+  current: session.id === currentSessionId
+});
+
+// List the caller's active sessions (devices)
+router.get('/', authenticateSupabase, async (req, res) => {
+  try {
+    // Refresh this session's details - covers sessions that signed in without the backend
+    await recordSessionMetadata(req.accessToken, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    const result = await listUserSessions(req.accessToken);
+
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to retrieve sessions',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions: result.sessions.map(session => formatSession(session, req.user.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while retrieving sessions',
+      data: null
+    });
+  }
+});
+
+// Sign out every session except the caller's
+router.post('/revoke-others', authenticateStrict, async (req, res) => {
+  try {
+    const result = await revokeSession(req.accessToken, 'others');
+
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to sign out other sessions',
+        data: { error: result.error }
+      });
+    }
+
+    securityLogger.logAuth('OTHER_SESSIONS_REVOKED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      email: req.user.email,
+      success: true
+    });
+
+    recordActivity(req.user.id, 'OTHER_SESSIONS_REVOKED', { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    console.log('👋 Other sessions revoked for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Signed out of all other sessions',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while revoking sessions',
+      data: null
+    });
+  }
+});
+
+// Sign out one other session
+router.delete('/:sessionId', authenticateStrict, validateSessionId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { sessionId } = req.params;
+
+    // The current session ends through /api/logout, which also clears its cookies
+    if (sessionId === req.user.sessionId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use logout to end the current session',
+        data: null
+      });
+    }
+
+    const result = await revokeUserSession(req.accessToken, sessionId);
+
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to revoke session',
+        data: { error: result.error }
+      });
+    }
+
+    if (!result.revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found',
+        data: null
+      });
+    }
+
+    securityLogger.logAuth('SESSION_REVOKED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      email: req.user.email,
+      success: true,
+      reason: `Session ${sessionId} revoked by its owner`
+    });
+
+    recordActivity(req.user.id, 'SESSION_REVOKED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { sessionId }
+    });
+
+    console.log('👋 Session revoked for:', req.user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked',
+      data: { sessionId }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while revoking session',
+      data: null
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,64 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { supabase, getUserProfile, upsertUserProfile } = require('../config/supabase');
-const { authenticateSupabase, optionalAuth } = require('../middleware/supabase-auth');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  supabase,
+  createRequestClient,
+  revokeSession,
+  recordSessionMetadata,
+  getVerifiedFactors,
+  getUserProfile,
+  upsertUserProfile,
+  isUsernameAvailable
+} = require('../config/supabase');
+const {
+  authenticateSupabase,
+  authenticateStrict,
+  authenticatePendingMfa,
+  optionalAuth,
+  issueSession,
+  clearAuthCookies,
+  REFRESH_COOKIE
+} = require('../middleware/supabase-auth');
+const { accountLockout, checkAccountLockout } = require('../middleware/account-lockout');
+const { verifyCSRFToken, rotateCSRFToken } = require('../middleware/csrf');
+const { resolveRole } = require('../config/roles');
+const { recordActivity, recordActivityByEmail } = require('../config/activity');
+const { passwordRules, getBreachedRange } = require('../config/passwords');
+const {
+  USERNAME_POLICY,
+  AVATAR_ALLOWED_HOSTS,
+  checkUsername,
+  isAllowedAvatarHost,
+  usernamePolicyValidator
+} = require('../config/policy');
 
 const router = express.Router();
 
+// Where auth emails (password reset, confirmation) send the user back to
+const FRONTEND_URL = process.env.FRONTEND_URL || process.env.PRODUCTION_URL || `http://localhost:${process.env.PORT || 3001}`;
+
 // Validation middleware
 const validateRegister = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordRules('password'),
   body('username')
     .optional()
-    .isLength({ min: 3, max: 30 })
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username must be 3-30 characters and contain only letters, numbers, and underscores')
+    .custom(usernamePolicyValidator)
+];
+
+const validateUsernameQuery = [
+  query('u')
+    .trim()
+    .custom(usernamePolicyValidator)
+];
+
+const validateRangePrefix = [
+  param('prefix')
+    .matches(/^[0-9a-fA-F]{5}$/)
+    .withMessage('Prefix must be the first 5 hexadecimal characters of a SHA-1 hash')
 ];
 
 const validateLogin = [
@@ -33,6 +71,89 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
+// refresh_token may be omitted in cookie mode (it is read from the httpOnly cookie)
+const validateRefresh = [
+  body('refresh_token')
+    .optional()
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// The recovery link carries either a token_hash (server-side template)
+// or an access/refresh token pair in the URL fragment (implicit flow)
+const validateResetPassword = [
+  passwordRules('password'),
+  body('token_hash').optional().isString(),
+  body('access_token').optional().isString(),
+  body('refresh_token').optional().isString()
+];
+
+const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const validateConfirmEmail = [
+  body('token_hash')
+    .isString()
+    .withMessage('Confirmation token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Confirmation token is required'),
+  body('type')
+    .optional()
+    .isIn(['signup', 'email', 'email_change'])
+    .withMessage('Invalid confirmation type')
+];
+
+// Every field is optional (partial update); null or '' clears full_name, avatar_url and bio
+const validateProfile = [
+  body('username')
+    .optional()
+    .custom(usernamePolicyValidator),
+  body('full_name')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Full name must be at most 100 characters'),
+  body('avatar_url')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .if(value => value !== '')
+    .isURL({ protocols: ['https'], require_protocol: true, require_valid_protocol: true })
+    .withMessage('Avatar URL must be a valid https:// URL')
+    .bail()
+    .custom(isAllowedAvatarHost)
+    .withMessage(`Avatar images must be hosted on: ${AVATAR_ALLOWED_HOSTS.join(', ')}`),
+  body('bio')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Bio must be at most 300 characters')
+];
+
+const validateLogout = [
+  body('scope')
+    .optional()
+    .isIn(['local', 'global'])
+    .withMessage('Scope must be "local" (this device) or "global" (all devices)')
+];
+
 // Health check specifically for Supabase
 router.get('/supabase-health', optionalAuth, async (req, res) => {
   try {
@@ -60,7 +181,7 @@ router.get('/supabase-health', optionalAuth, async (req, res) => {
 });
 
 // Register endpoint - creates user via Supabase Auth
-router.post('/register', validateRegister, async (req, res) => {
+router.post('/register', verifyCSRFToken, validateRegister, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -76,11 +197,24 @@ router.post('/register', validateRegister, async (req, res) => {
     
     console.log('📝 Registration attempt for:', email);
 
-    // Register user with Supabase Auth
-    const { data: authData, error: authError } = await supabase.auth.signUp({
+    // Reject a taken username up front - otherwise signUp fails late on the profiles UNIQUE constraint
+    if (username) {
+      const availability = await isUsernameAvailable(username);
+      if (availability.success && !availability.available) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Username is already taken',
+          data: { errors: [{ type: 'field', path: 'username', location: 'body', msg: 'Username is already taken' }] }
+        });
+      }
+    }
+
+    // Register user with Supabase Auth (request-scoped client keeps any session off the shared client)
+    const { data: authData, error: authError } = await createRequestClient().auth.signUp({
       email,
       password,
       options: {
+        emailRedirectTo: `${FRONTEND_URL}/auth/confirm`,
         data: {
           username: username || email.split('@')[0] // Use email prefix if no username provided
         }
@@ -133,8 +267,72 @@ router.post('/register', validateRegister, async (req, res) => {
   }
 });
 
+// Up to `count` free usernames close to a taken one
+const USERNAME_SUGGESTION_COUNT = 3;
+const suggestUsernames = async (username, count = USERNAME_SUGGESTION_COUNT) => {
+  const base = username.substring(0, USERNAME_POLICY.maxLength - 5);
+  const year = new Date().getFullYear();
+  const randomDigits = (digits) => String(Math.floor(Math.random() * 10 ** digits)).padStart(digits, '0');
+
+  const candidates = [...new Set([
+    `${base}_${randomDigits(2)}`,
+    `${base}${randomDigits(3)}`,
+    `${base}_${year}`,
+    `${base}_${randomDigits(4)}`,
+    `the_${base}`.substring(0, USERNAME_POLICY.maxLength)
+  ])].filter(candidate => checkUsername(candidate).length === 0);
+
+  const results = await Promise.all(candidates.map(candidate => isUsernameAvailable(candidate)));
+  return candidates
+    .filter((candidate, index) => results[index].success && results[index].available)
+    .slice(0, count);
+};
+
+// Username availability check for the registration form (public, rate limited)
+router.get('/username-available', validateUsernameQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const username = req.query.u;
+    const result = await isUsernameAvailable(username);
+
+    if (!result.success) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Username availability could not be checked',
+        data: null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: result.available ? 'Username is available' : 'Username is already taken',
+      data: {
+        username,
+        available: result.available,
+        suggestions: result.available ? [] : await suggestUsernames(username)
+      }
+    });
+
+  } catch (error) {
+    console.error('Username availability error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while checking username',
+      data: null
+    });
+  }
+});
+
 // Login endpoint - authenticates via Supabase Auth
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', verifyCSRFToken, validateLogin, checkAccountLockout, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -150,8 +348,9 @@ router.post('/login', validateLogin, async (req, res) => {
     
     console.log('🔐 Login attempt for:', email);
 
-    // Sign in with Supabase
-    const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
+    // Sign in with a request-scoped client so the session is never stored on the shared client
+    const client = createRequestClient();
+    const { data: authData, error: authError } = await client.auth.signInWithPassword({
       email,
       password
     });
@@ -159,8 +358,16 @@ router.post('/login', validateLogin, async (req, res) => {
     if (authError) {
       console.error('Supabase login error:', authError.message);
       
+      const needsEmailConfirmation = authError.message.includes('Email not confirmed');
+
+      // Only wrong credentials count towards the account lockout
+      if (authError.message.includes('Invalid login credentials')) {
+        await accountLockout.recordFailure(email, { ip: req.ip, userAgent: req.get('User-Agent') });
+        recordActivityByEmail(email, 'LOGIN_FAILED', { ip: req.ip, userAgent: req.get('User-Agent'), description: 'Wrong password' });
+      }
+      
       let errorMessage = 'Invalid email or password';
-      if (authError.message.includes('Email not confirmed')) {
+      if (needsEmailConfirmation) {
         errorMessage = 'Please verify your email address before logging in';
       } else if (authError.message.includes('Invalid login credentials')) {
         errorMessage = 'Invalid email or password';
@@ -171,31 +378,50 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(401).json({
         status: 'error',
         message: errorMessage,
-        data: { supabaseError: authError.message }
+        data: { supabaseError: authError.message, needsEmailConfirmation }
       });
     }
 
+    await accountLockout.recordSuccess(email);
+
+    // Remember where this session signed in from (shown under GET /api/sessions)
+    await recordSessionMetadata(authData.session.access_token, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    // Accounts with a verified factor must complete an MFA challenge (AAL2)
+    // Until then the authentication middleware only accepts the AAL1 session issued here on
+    // GET /api/mfa/factors, /api/mfa/challenge, /api/mfa/verify and /api/logout
+    const { data: aalData } = await client.auth.mfa.getAuthenticatorAssuranceLevel();
+    const mfaRequired = aalData?.nextLevel === 'aal2' && aalData.currentLevel !== 'aal2';
+
     // Get user profile
     const profileResult = await getUserProfile(authData.user.id);
     
-    console.log('✅ User logged in successfully:', email);
+    recordActivity(authData.user.id, 'LOGIN', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      description: mfaRequired ? 'Password accepted, MFA code required' : 'Signed in with password'
+    });
+
+    // A token issued before sign-in must not stay valid for the signed-in session
+    rotateCSRFToken(req, res, authData.session.access_token);
+
+    console.log(mfaRequired ? '🔐 Password accepted, MFA required for:' : '✅ User logged in successfully:', email);
 
     res.status(200).json({
       status: 'success',
-      message: 'Login successful',
+      message: mfaRequired ? 'Multi-factor authentication required' : 'Login successful',
       data: {
+        mfaRequired,
+        factors: mfaRequired ? getVerifiedFactors(authData.user) : [],
         user: {
           id: authData.user.id,
           email: authData.user.email,
           username: profileResult.success ? profileResult.profile.username : authData.user.user_metadata?.username,
+          role: resolveRole(authData.user, profileResult.success ? profileResult.profile : null),
           emailConfirmed: authData.user.email_confirmed_at ? true : false,
           lastSignIn: authData.user.last_sign_in_at
         },
-        session: {
-          access_token: authData.session.access_token,
-          refresh_token: authData.session.refresh_token,
-          expires_at: authData.session.expires_at
-        }
+        session: issueSession(res, authData.session)
       }
     });
 
@@ -209,8 +435,322 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+// Token refresh endpoint - exchanges a refresh token for a new session
+// Supabase rotates the refresh token, so the old one cannot be reused
+router.post('/token/refresh', verifyCSRFToken, validateRefresh, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const refresh_token = req.body.refresh_token || req.cookies?.[REFRESH_COOKIE];
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refresh token is required',
+        data: null
+      });
+    }
+
+    const { data: authData, error: authError } = await createRequestClient().auth.refreshSession({
+      refresh_token
+    });
+
+    if (authError || !authData.session) {
+      console.error('Supabase token refresh error:', authError?.message);
+      clearAuthCookies(res);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token',
+        data: null
+      });
+    }
+
+    await recordSessionMetadata(authData.session.access_token, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    console.log('🔄 Session refreshed for:', authData.user?.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session refreshed successfully',
+      data: {
+        session: issueSession(res, authData.session)
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during token refresh',
+      data: process.env.NODE_ENV === 'development' ? { error: error.message } : null
+    });
+  }
+});
+
+// Forgot password endpoint - sends a recovery email
+// Always returns the same response so it cannot be used to discover accounts
+router.post('/password/forgot', verifyCSRFToken, validateForgotPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { email } = req.body;
+
+    const { error } = await createRequestClient().auth.resetPasswordForEmail(email, {
+      redirectTo: `${FRONTEND_URL}/reset-password`
+    });
+
+    if (error) {
+      // Logged only - the response must not reveal whether the email exists
+      console.error('Supabase password reset email error:', error.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent.',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during password reset request',
+      data: null
+    });
+  }
+});
+
+// Reset password endpoint - sets a new password using the recovery token from the email link
+router.post('/password/reset', verifyCSRFToken, validateResetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { password, token_hash, access_token, refresh_token } = req.body;
+
+    if (!token_hash && !(access_token && refresh_token)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Recovery token is required',
+        data: null
+      });
+    }
+
+    // Establish the recovery session on a request-scoped client
+    const client = createRequestClient();
+    const { error: sessionError } = token_hash
+      ? await client.auth.verifyOtp({ token_hash, type: 'recovery' })
+      : await client.auth.setSession({ access_token, refresh_token });
+
+    if (sessionError) {
+      console.error('Supabase recovery token error:', sessionError.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'This password reset link is invalid or has expired',
+        data: null
+      });
+    }
+
+    const { data: updateData, error: updateError } = await client.auth.updateUser({ password });
+
+    if (updateError) {
+      console.error('Supabase password update error:', updateError.message);
+      return res.status(400).json({
+        status: 'error',
+        message: updateError.message.includes('different')
+          ? 'New password must be different from your current password'
+          : 'Failed to reset password',
+        data: null
+      });
+    }
+
+    // End every existing session so the old credentials cannot be reused
+    const { error: signOutError } = await client.auth.signOut({ scope: 'global' });
+    if (signOutError) {
+      console.error('Supabase sign out after reset error:', signOutError.message);
+    }
+
+    clearAuthCookies(res);
+    rotateCSRFToken(req, res, null);
+
+    recordActivity(updateData.user?.id, 'PASSWORD_CHANGED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      description: 'Password reset from email link, all sessions signed out'
+    });
+
+    console.log('🔑 Password reset for:', updateData.user?.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please sign in with your new password.',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during password reset',
+      data: process.env.NODE_ENV === 'development' ? { error: error.message } : null
+    });
+  }
+});
+
+// Breached-password range lookup for the frontend's warning (k-anonymity: the browser hashes the
+// password and sends only the first 5 characters; it matches the returned suffixes itself)
+router.get('/password-check/range/:prefix', validateRangePrefix, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const result = await getBreachedRange(req.params.prefix);
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.status(200).json({
+      status: 'success',
+      message: 'Breached password range retrieved',
+      data: {
+        prefix: req.params.prefix.toUpperCase(),
+        suffixes: [...result.suffixes],
+        complete: result.complete
+      }
+    });
+
+  } catch (error) {
+    console.error('Breached password range error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while checking password',
+      data: null
+    });
+  }
+});
+
+// Resend verification email endpoint
+// Always returns the same response so it cannot be used to discover accounts
+router.post('/verification/resend', verifyCSRFToken, validateResendVerification, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { email } = req.body;
+
+    const { error } = await createRequestClient().auth.resend({
+      type: 'signup',
+      email,
+      options: {
+        emailRedirectTo: `${FRONTEND_URL}/auth/confirm`
+      }
+    });
+
+    if (error) {
+      // Logged only - the response must not reveal whether the email exists or is confirmed
+      console.error('Supabase resend verification error:', error.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If this email belongs to an unverified account, a new confirmation link has been sent.',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while resending verification email',
+      data: null
+    });
+  }
+});
+
+// Confirm email endpoint - verifies the token_hash from the confirmation link
+router.post('/verification/confirm', verifyCSRFToken, validateConfirmEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const { token_hash, type = 'email' } = req.body;
+
+    const client = createRequestClient();
+    const { data: verifyData, error: verifyError } = await client.auth.verifyOtp({ token_hash, type });
+
+    if (verifyError) {
+      console.error('Supabase email confirmation error:', verifyError.message);
+      return res.status(400).json({
+        status: 'error',
+        message: 'This confirmation link is invalid or has expired',
+        data: { expired: true }
+      });
+    }
+
+    // Verification signs the user in - end that session, the user logs in normally
+    if (verifyData.session) {
+      await client.auth.signOut({ scope: 'local' });
+    }
+
+    console.log('📧 Email confirmed for:', verifyData.user?.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your email address has been confirmed. You can now sign in.',
+      data: {
+        email: verifyData.user?.email
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during email confirmation',
+      data: null
+    });
+  }
+});
+
 // Get user info (protected route)
-router.get('/user', authenticateSupabase, async (req, res) => {
+// Strict - the response needs the full user record (timestamps, MFA factors), not just token claims
+router.get('/user', authenticateStrict, async (req, res) => {
   try {
     res.status(200).json({
       status: 'success',
@@ -221,9 +761,15 @@ router.get('/user', authenticateSupabase, async (req, res) => {
           email: req.user.email,
           username: req.user.username,
           profile: req.user.profile,
+          role: req.user.role,
+          permissions: req.user.permissions,
           emailConfirmed: req.user.supabaseUser.email_confirmed_at ? true : false,
           lastSignIn: req.user.supabaseUser.last_sign_in_at,
-          createdAt: req.user.supabaseUser.created_at
+          createdAt: req.user.supabaseUser.created_at,
+          mfa: {
+            aal: req.user.aal,
+            factors: getVerifiedFactors(req.user.supabaseUser)
+          }
         }
       }
     });
@@ -237,14 +783,12 @@ router.get('/user', authenticateSupabase, async (req, res) => {
   }
 });
 
+// Profile fields users may edit - email mirrors auth.users and role is managed by admins
+const PROFILE_FIELDS = ['username', 'full_name', 'avatar_url', 'bio'];
+
 // Update user profile (protected route)
-router.put('/profile', authenticateSupabase, [
-  body('username')
-    .optional()
-    .isLength({ min: 3, max: 30 })
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username must be 3-30 characters and contain only letters, numbers, and underscores')
-], async (req, res) => {
+// Partial update: only fields present in the body change, empty strings clear a field
+const updateProfile = async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -256,17 +800,41 @@ router.put('/profile', authenticateSupabase, [
       });
     }
 
-    const { username } = req.body;
+    const changes = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field] === '' ? null : req.body[field];
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No profile fields to update',
+        data: null
+      });
+    }
+
+    // The email column is only written when the profile row is first created
+    if (!req.user.profile) {
+      changes.email = req.user.email;
+    }
     
-    console.log('📝 Profile update for user:', req.user.id);
+    console.log('📝 Profile update for user:', req.user.id, Object.keys(changes));
 
     // Update profile in database
-    const result = await upsertUserProfile(req.user.id, {
-      username,
-      email: req.user.email
-    });
+    const result = await upsertUserProfile(req.user.id, changes, req.accessToken);
 
     if (!result.success) {
+      // Unique violation - reported like a validation error so the form can show it inline
+      if (result.code === '23505') {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Validation failed',
+          data: { errors: [{ type: 'field', path: 'username', location: 'body', msg: 'Username is already taken' }] }
+        });
+      }
+
       return res.status(400).json({
         status: 'error',
         message: 'Failed to update profile',
@@ -274,6 +842,12 @@ router.put('/profile', authenticateSupabase, [
       });
     }
 
+    recordActivity(req.user.id, 'PROFILE_UPDATED', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { fields: Object.keys(changes).filter(field => PROFILE_FIELDS.includes(field)) }
+    });
+
     console.log('✅ Profile updated successfully for:', req.user.email);
 
     res.status(200).json({
@@ -292,24 +866,51 @@ router.put('/profile', authenticateSupabase, [
       data: process.env.NODE_ENV === 'development' ? { error: error.message } : null
     });
   }
-});
+};
 
-// Logout endpoint (optional - mainly for cleanup)
-router.post('/logout', authenticateSupabase, async (req, res) => {
+router.patch('/profile', verifyCSRFToken, authenticateSupabase, validateProfile, updateProfile);
+router.put('/profile', verifyCSRFToken, authenticateSupabase, validateProfile, updateProfile); // Same partial semantics, kept for existing clients
+
+// Logout endpoint - revokes the caller's refresh token(s)
+// scope "local" ends this device's session, "global" ends every session of the user
+router.post('/logout', verifyCSRFToken, authenticatePendingMfa, validateLogout, async (req, res) => {
   try {
-    // Sign out from Supabase (this invalidates the JWT)
-    const { error } = await supabase.auth.signOut();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        data: { errors: errors.array() }
+      });
+    }
+
+    const scope = req.body.scope || 'local';
+
+    const result = await revokeSession(req.accessToken, scope);
     
-    if (error) {
-      console.error('Supabase logout error:', error.message);
+    clearAuthCookies(res);
+    rotateCSRFToken(req, res, null);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to revoke session',
+        data: { error: result.error }
+      });
     }
     
-    console.log('👋 User logged out:', req.user.email);
+    recordActivity(req.user.id, 'LOGOUT', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      description: scope === 'global' ? 'Signed out of all devices' : 'Signed out'
+    });
+
+    console.log(`👋 User logged out (${scope}):`, req.user.email);
 
     res.status(200).json({
       status: 'success',
-      message: 'Logged out successfully',
-      data: null
+      message: scope === 'global' ? 'Logged out from all devices' : 'Logged out successfully',
+      data: { scope }
     });
 
   } catch (error) {
@@ -0,0 +1,56 @@
+// Run the sample requests in threat-samples.json through the threat detection rules
+// and check each one gets the expected action ("allow" = no rule matches)
+// Usage: npm run test:threats [-- <rules.json> [<samples.json>]]
+const path = require('path');
+const { loadThreatRules, findThreats } = require('../config/threats');
+
+const rulesFile = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+const samplesFile = path.resolve(process.argv[3] || path.join(__dirname, 'threat-samples.json'));
+
+let ruleSet;
+try {
+  ruleSet = loadThreatRules(rulesFile);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Plain request objects, shaped like the parts of an Express request the rules read
+const toRequest = (sample) => ({
+  method: sample.method || 'GET',
+  url: sample.url,
+  headers: Object.fromEntries(
+    Object.entries({ 'user-agent': 'Mozilla/5.0', ...sample.headers })
+      .map(([name, value]) => [name.toLowerCase(), value])
+  ),
+  body: sample.body
+});
+
+const samples = require(samplesFile);
+const matchedRules = new Set();
+let failures = 0;
+
+for (const sample of samples) {
+  const threats = findThreats(toRequest(sample.request), undefined, ruleSet);
+  threats.forEach(threat => matchedRules.add(threat.rule.id));
+
+  const action = threats.length > 0 ? threats[0].rule.action : 'allow';
+  const rule = threats.length > 0 ? threats[0].rule.id : null;
+  const passed = action === sample.expect && (!sample.rule || sample.rule === rule);
+
+  if (passed) {
+    console.log(`✅ ${sample.name}: ${action}${rule ? ` (${rule})` : ''}`);
+  } else {
+    failures++;
+    console.log(`❌ ${sample.name}: expected ${sample.expect}${sample.rule ? ` (${sample.rule})` : ''}, got ${action}${rule ? ` (${rule})` : ''}`);
+    threats.forEach(threat => console.log(`     ${threat.rule.id} [${threat.rule.severity}] ${threat.target}: ${threat.match}`));
+  }
+}
+
+const untested = ruleSet.rules.filter(rule => !matchedRules.has(rule.id)).map(rule => rule.id);
+if (untested.length > 0) {
+  console.log(`⚠️  Rules no sample matches: ${untested.join(', ')}`);
+}
+
+console.log(`\n${samples.length - failures}/${samples.length} samples passed (${ruleSet.rules.length} rules from ${path.basename(ruleSet.file)})`);
+process.exit(failures > 0 ? 1 : 0);
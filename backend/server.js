@@ -9,22 +9,38 @@ const fs = require('fs');
 
 // Import security middleware
 const { 
+    cspNonce,
     helmetConfig, 
     generalLimiter, 
     authLimiter, 
     registerLimiter, 
+    refreshLimiter,
+    passwordResetLimiter,
+    verificationLimiter,
+    mfaLimiter,
+    usernameCheckLimiter,
+    breachCheckLimiter,
+    cspReportLimiter,
     speedLimiter,
     sanitizeInput,
     securityLogger,
     validateContentType,
-    threatDetection
+    threatDetection,
+    bodyThreatDetection
 } = require('./middleware/security');
 
 const { logger, requestLogger, errorLogger } = require('./middleware/logger');
-const { addCSRFToken, verifyCSRFToken, getCSRFToken } = require('./middleware/csrf');
+const { addCSRFToken, getCSRFToken } = require('./middleware/csrf');
+const { getPublicPolicy } = require('./config/policy');
+const { handleCSPReport } = require('./middleware/csp-report');
 
 // Import Supabase routes
 const supabaseAuthRoutes = require('./routes/supabase-auth');
+const mfaRoutes = require('./routes/mfa');
+const adminRoutes = require('./routes/admin');
+const sessionRoutes = require('./routes/sessions');
+const activityRoutes = require('./routes/activity');
+const accountRoutes = require('./routes/account');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -53,13 +69,17 @@ const corsOptions = {
         : [`http://localhost:${PORT}`, 'http://localhost:3000', 'http://localhost:5173'],
     credentials: true, // Allow credentials (cookies, sessions)
     optionsSuccessStatus: 200,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 };
 
 // Security Middleware (Applied First)
+app.use(cspNonce); // Per-request nonce for the Content-Security-Policy
 app.use(helmetConfig); // Security headers
 app.use(threatDetection); // Threat detection (before rate limiting)
+// CSP violation reports: ahead of the general limiter (reports must not use up the visitor's API quota)
+// and of content type validation (browsers send application/csp-report and application/reports+json)
+app.post('/api/csp-report', cspReportLimiter, handleCSPReport);
 app.use(generalLimiter); // General rate limiting
 app.use(speedLimiter); // Slow down repeated requests
 app.use(cors(corsOptions));
@@ -69,6 +89,7 @@ app.use(cookieParser()); // Parse cookies
 app.use(validateContentType); // Validate content type
 app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+app.use(bodyThreatDetection); // Threat rules that inspect the request body
 
 // Session configuration
 app.use(session({
@@ -124,30 +145,50 @@ app.get('/api/health', (req, res) => {
 // CSRF Token endpoint
 app.get('/api/csrf-token', getCSRFToken);
 
+// Password and username rules, so the frontend forms validate exactly like the API
+app.get('/api/policy', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+        status: 'success',
+        message: 'Validation policy retrieved',
+        data: getPublicPolicy()
+    });
+});
+
 // API Routes with specific rate limiting
 app.use('/api/register', registerLimiter); // Strict rate limiting for registration
 app.use('/api/login', authLimiter); // Strict rate limiting for login
 app.use('/api/logout', authLimiter); // Rate limit logout attempts
+app.use('/api/account/reauthenticate', authLimiter); // Password confirmation is a login attempt
+app.use('/api/token/refresh', refreshLimiter); // Rate limit token refreshes
+app.use(['/api/password', '/api/account/password'], passwordResetLimiter); // Rate limit password recovery and changes
+app.use('/api/verification', verificationLimiter); // Rate limit verification emails
+app.use(['/api/mfa/challenge', '/api/mfa/verify'], mfaLimiter); // Rate limit MFA codes
+app.use('/api/username-available', usernameCheckLimiter); // Rate limit username lookups
+app.use('/api/password-check', breachCheckLimiter); // Rate limit breached-password lookups
 
-// Apply CSRF protection to state-changing operations
-app.use(['/api/register', '/api/login', '/api/logout'], verifyCSRFToken);
+// CSRF protection is opt-in per route: every state-changing route adds verifyCSRFToken
+// (routers whose routes all change state apply it with router.use)
 
+app.use('/api/mfa', mfaRoutes); // Multi-factor authentication routes
+app.use('/api/sessions', sessionRoutes); // Active sessions / device management
+app.use('/api/activity', activityRoutes); // Per-user security activity log
+app.use('/api/account', accountRoutes); // Data export and account deletion
+app.use('/api/admin', adminRoutes); // Administrator routes (role based)
 app.use('/api', supabaseAuthRoutes); // Supabase authentication routes
 
 // Serve static files from React build (Production)
 const frontendDistPath = path.join(__dirname, '../frontend/dist');
 if (fs.existsSync(frontendDistPath)) {
     console.log('📁 Serving static frontend files from:', frontendDistPath);
+
+    // index.html carries a nonce placeholder (vite html.cspNonce) on its script and style tags
+    const CSP_NONCE_PLACEHOLDER = /__CSP_NONCE__/g;
+    const indexHtml = fs.readFileSync(path.join(frontendDistPath, 'index.html'), 'utf8');
     
-    // Middleware to ensure HTTP protocol for assets
-    app.use((req, res, next) => {
-        // Force HTTP protocol for all asset requests
-        res.setHeader('Content-Security-Policy', "upgrade-insecure-requests"); 
-        res.removeHeader('Content-Security-Policy'); // Remove to prevent HTTPS forcing
-        next();
-    });
-    
+    // index.html is never served as a static file - it needs this request's nonce
     app.use(express.static(frontendDistPath, {
+        index: false,
         setHeaders: (res, path) => {
             // Ensure no HTTPS forcing headers for static assets
             res.removeHeader('Strict-Transport-Security');
@@ -167,7 +208,8 @@ if (fs.existsSync(frontendDistPath)) {
         }
         
         console.log('🎯 Serving React app for route:', req.path);
-        res.sendFile(path.join(frontendDistPath, 'index.html'));
+        res.set('Cache-Control', 'no-store'); // A cached page would reuse an old nonce
+        res.type('html').send(indexHtml.replace(CSP_NONCE_PLACEHOLDER, res.locals.cspNonce));
     });
 } else {
     console.log('⚠️  Frontend build not found at:', frontendDistPath);
@@ -242,13 +284,53 @@ app.listen(PORT, () => {
     console.log('   GET  /api/health           - Health check');
     console.log('   GET  /api/supabase-health  - Supabase connection check');
     console.log('   GET  /api/csrf-token       - CSRF token retrieval');
+    console.log('   GET  /api/policy           - Password and username policy');
+    console.log('   POST /api/csp-report       - Content-Security-Policy violation reports');
     console.log('   ');
     console.log('   🔗 Supabase Authentication Routes:');
     console.log('   POST /api/register         - User registration');
+    console.log('   GET  /api/username-available?u= - Username availability (with suggestions)');
     console.log('   POST /api/login            - User login');
+    console.log('   POST /api/token/refresh    - Rotate refresh token / renew session');
     console.log('   GET  /api/user             - Get user info');
-    console.log('   PUT  /api/profile          - Update user profile');
+    console.log('   PATCH /api/profile         - Update profile fields (PUT also accepted)');
     console.log('   POST /api/logout           - User logout');
+    console.log('   POST /api/password/forgot  - Request password reset email');
+    console.log('   POST /api/password/reset   - Set new password with recovery token');
+    console.log('   GET  /api/password-check/range/:prefix - Breached-password range (k-anonymity)');
+    console.log('   POST /api/verification/resend  - Resend confirmation email');
+    console.log('   POST /api/verification/confirm - Confirm email address');
+    console.log('   ');
+    console.log('   🔐 Multi-Factor Authentication Routes:');
+    console.log('   GET    /api/mfa/factors          - List TOTP factors');
+    console.log('   POST   /api/mfa/enroll           - Start TOTP enrollment (QR code)');
+    console.log('   POST   /api/mfa/challenge        - Create a challenge');
+    console.log('   POST   /api/mfa/verify           - Verify code (AAL2 session)');
+    console.log('   DELETE /api/mfa/factors/:id      - Remove factor (AAL2 required)');
+    console.log('   ');
+    console.log('   💻 Session Routes:');
+    console.log('   GET    /api/sessions               - List active sessions (devices)');
+    console.log('   DELETE /api/sessions/:id           - Sign out one session');
+    console.log('   POST   /api/sessions/revoke-others - Sign out all other sessions');
+    console.log('   GET    /api/activity               - Account activity (?type=&since=&until=&page=)');
+    console.log('   POST   /api/account/reauthenticate - Confirm password before sensitive actions');
+    console.log('   POST   /api/account/password       - Change password (recent re-authentication)');
+    console.log('   GET    /api/account/export         - Download personal data (JSON)');
+    console.log('   DELETE /api/account                - Delete account (recent re-authentication)');
+    console.log('   ');
+    console.log('   🛡️  Admin Routes:');
+    console.log('   GET    /api/admin/users              - List / search users (?search=)');
+    console.log('   GET    /api/admin/users/:id          - View user');
+    console.log('   POST   /api/admin/users/:id/ban      - Ban user (unban: /unban)');
+    console.log('   POST   /api/admin/users/:id/password-reset - Send password reset email');
+    console.log('   POST   /api/admin/users/:id/confirm-email  - Confirm email manually');
+    console.log('   DELETE /api/admin/users/:id          - Delete account');
+    console.log('   GET    /api/admin/lockouts?email=    - Account lockout status');
+    console.log('   POST   /api/admin/lockouts/unlock    - Unlock an account');
+    console.log('   GET    /api/admin/security/events    - Recent security events (?since=)');
+    console.log('   GET    /api/admin/security/status    - Rate limits and locked accounts');
+    console.log('   GET    /api/admin/security/csp       - CSP violation summary (?limit=)');
+    console.log('   GET    /api/admin/metrics            - Cache metrics');
     console.log('   ');
     console.log('🔥 Single server deployment ready!');
     console.log('💡 Frontend + Backend served from one server - powered by Supabase!');
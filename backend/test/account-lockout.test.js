@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AccountLockout } = require('../middleware/account-lockout');
+const { MemoryStore } = require('../config/store');
+
+const createLockout = () => new AccountLockout({ store: new MemoryStore(), maxAttempts: 10 });
+
+test('concurrent failures are all counted and lock the account once', async () => {
+  const lockout = createLockout();
+  await Promise.all(Array.from({ length: 12 }, () => lockout.recordFailure('Victim@Example.com')));
+
+  const status = await lockout.getStatus('victim@example.com');
+  assert.strictEqual(status.locked, true);
+  assert.strictEqual(status.failures, 12);
+  assert.deepStrictEqual((await lockout.listLocked()).map(item => item.email), ['victim@example.com']);
+});
+
+test('only one login attempt per account may be in flight', async () => {
+  const lockout = createLockout();
+  const attempts = await Promise.all(Array.from({ length: 5 }, () => lockout.acquire('victim@example.com')));
+
+  assert.deepStrictEqual(attempts.map(attempt => attempt.allowed), [true, false, false, false, false]);
+  assert.strictEqual(attempts[1].busy, true);
+
+  await attempts[0].release();
+  assert.strictEqual((await lockout.acquire('victim@example.com')).allowed, true);
+});
+
+test('an unlocked account starts over', async () => {
+  const lockout = createLockout();
+  for (let i = 0; i < 10; i++) await lockout.recordFailure('victim@example.com');
+
+  assert.strictEqual(await lockout.unlock('victim@example.com'), true);
+  assert.strictEqual((await lockout.check('victim@example.com')).allowed, true);
+  assert.deepStrictEqual(await lockout.listLocked(), []);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { USERS, setup } = require('./helpers');
+const { getRecentSecurityEvents } = require('../middleware/logger');
+
+let env;
+
+before(async () => {
+  env = await setup();
+});
+
+after(async () => {
+  await env.close();
+});
+
+test('a refused admin request is recorded as a security event', async () => {
+  const client = env.createClient();
+  const response = await client.send('/api/admin/security/status', { token: env.tokenFor(USERS.member) });
+
+  assert.strictEqual(response.status, 403);
+  const denial = getRecentSecurityEvents().find(event => event.type === 'ACCESS_DENIED' && event.payload?.userId === USERS.member.id);
+  assert.ok(denial, 'ACCESS_DENIED event in the recent security events');
+  assert.strictEqual(denial.url, '/api/admin/security/status');
+});
+
+test('an admin cannot ban or delete another admin', async () => {
+  const client = env.createClient();
+  const token = env.tokenFor(USERS.admin);
+  await client.send('/api/csrf-token');
+
+  const ban = await client.send(`/api/admin/users/${USERS.mfaAdmin.id}/ban`, { method: 'POST', token, body: {} });
+  const removal = await client.send(`/api/admin/users/${USERS.mfaAdmin.id}`, { method: 'DELETE', token });
+
+  assert.strictEqual(ban.status, 403);
+  assert.strictEqual(removal.status, 403);
+  assert.ok(!env.fake.requests.some(request => request.path === `/auth/v1/admin/users/${USERS.mfaAdmin.id}` && request.method !== 'GET'));
+});
+
+test('an admin cannot ban or delete their own account', async () => {
+  const client = env.createClient();
+  const token = env.tokenFor(USERS.admin);
+  await client.send('/api/csrf-token');
+
+  const ban = await client.send(`/api/admin/users/${USERS.admin.id}/ban`, { method: 'POST', token, body: {} });
+  const removal = await client.send(`/api/admin/users/${USERS.admin.id}`, { method: 'DELETE', token });
+
+  assert.strictEqual(ban.status, 400);
+  assert.strictEqual(removal.status, 400);
+});
+
+test('an admin can ban a user with a lower role', async () => {
+  const client = env.createClient();
+  await client.send('/api/csrf-token');
+
+  const response = await client.send(`/api/admin/users/${USERS.member.id}/ban`, { method: 'POST', token: env.tokenFor(USERS.admin), body: {} });
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(env.fake.requests.some(request => request.path === `/auth/v1/admin/users/${USERS.member.id}` && request.method === 'PUT'));
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { CSRFProtection } = require('../middleware/csrf');
+
+// Double-submit mode on a bare app: tokens must be tied to the Supabase session they were issued for
+const csrf = new CSRFProtection({ secret: 'test-csrf-secret', mode: 'double-submit' });
+let server;
+let baseUrl;
+
+// Unsigned token carrying only a session_id - binding decodes it, verification is the auth middleware's job
+const accessToken = (sessionId) => `e30.${Buffer.from(JSON.stringify({ session_id: sessionId })).toString('base64url')}.sig`;
+
+before(async () => {
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json());
+  app.use(csrf.addToken());
+  app.get('/csrf-token', csrf.getTokenEndpoint());
+  app.post('/login', csrf.verifyToken(), (req, res) => {
+    csrf.rotateToken(req, res, req.body.accessToken);
+    res.json({ status: 'success' });
+  });
+  app.post('/action', csrf.verifyToken(), (req, res) => res.json({ status: 'success' }));
+
+  server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Minimal browser: cookie jar plus the last X-CSRF-Token it was sent
+const createBrowser = () => {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  return async (path, { method = 'GET', body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(csrfToken && { 'X-CSRF-Token': csrfToken }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(cookies.size > 0 && { Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const [name, ...value] = pair.split('=');
+      cookies.set(name, value.join('='));
+    }
+    if (response.headers.get('x-csrf-token')) csrfToken = response.headers.get('x-csrf-token');
+
+    return { status: response.status, cookies, csrfToken };
+  };
+};
+
+test('a token follows the client from before sign-in into its session', async () => {
+  const browser = createBrowser();
+  const session = accessToken(crypto.randomUUID());
+
+  await browser('/csrf-token');
+  assert.strictEqual((await browser('/login', { method: 'POST', body: { accessToken: session } })).status, 200);
+  assert.strictEqual((await browser('/action', { method: 'POST', token: session, body: {} })).status, 200);
+});
+
+test('a token is refused for another Supabase session', async () => {
+  const browser = createBrowser();
+  const { csrfToken } = await browser('/csrf-token', { token: accessToken(crypto.randomUUID()) });
+
+  const response = await browser('/action', {
+    method: 'POST',
+    token: accessToken(crypto.randomUUID()),
+    headers: { 'X-CSRF-Token': csrfToken },
+    body: {}
+  });
+  assert.strictEqual(response.status, 403);
+});
+
+test('a token planted from another client is refused', async () => {
+  const attacker = createBrowser();
+  const { cookies: attackerCookies, csrfToken } = await attacker('/csrf-token');
+
+  const victim = createBrowser();
+  const { cookies: victimCookies } = await victim('/csrf-token');
+
+  // The attacker can overwrite the token cookie, but not the victim's client ID
+  const cookie = `csrfClientId=${victimCookies.get('csrfClientId')}; csrfToken=${attackerCookies.get('csrfToken')}`;
+  const response = await fetch(`${baseUrl}/action`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken, Cookie: cookie },
+    body: '{}'
+  });
+  assert.strictEqual(response.status, 403);
+});
+
+test('an unauthenticated request does not replace a signed-in client\'s token', async () => {
+  const browser = createBrowser();
+  const session = accessToken(crypto.randomUUID());
+
+  await browser('/csrf-token', { token: session });
+  assert.strictEqual((await browser('/action', { method: 'POST', token: session, body: {} })).status, 200);
+
+  // Assets and public endpoints are fetched without the Authorization header
+  await browser('/csrf-token');
+  assert.strictEqual((await browser('/action', { method: 'POST', token: session, body: {} })).status, 200);
+});
+
+test('a refused token is replaced by one the client can retry with', async () => {
+  const browser = createBrowser();
+  const session = accessToken(crypto.randomUUID());
+  await browser('/csrf-token', { token: session });
+
+  // Signed out elsewhere: the kept token is bound to the ended session
+  assert.strictEqual((await browser('/action', { method: 'POST', body: {} })).status, 403);
+  assert.strictEqual((await browser('/action', { method: 'POST', body: {} })).status, 200);
+});
@@ -0,0 +1,204 @@
+// Shared setup for the route tests: a fake Supabase (auth + profiles) on a random port and an
+// Express app with the same middleware order as server.js for the routers under test
+const http = require('http');
+const crypto = require('crypto');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// Test accounts - factors are what the auth server reports for the user
+const USERS = {
+  mfaAdmin: {
+    id: '11111111-1111-4111-8111-111111111111',
+    email: 'mfa-admin@example.com',
+    role: 'admin',
+    factors: [{ id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', factor_type: 'totp', status: 'verified', created_at: '2026-01-01T00:00:00Z' }]
+  },
+  admin: {
+    id: '22222222-2222-4222-8222-222222222222',
+    email: 'admin@example.com',
+    role: 'admin',
+    factors: []
+  },
+  member: {
+    id: '33333333-3333-4333-8333-333333333333',
+    email: 'member@example.com',
+    role: 'user',
+    factors: []
+  }
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const authUser = (user) => ({
+  id: user.id,
+  aud: 'authenticated',
+  role: 'authenticated',
+  email: user.email,
+  email_confirmed_at: '2026-01-01T00:00:00Z',
+  created_at: '2026-01-01T00:00:00Z',
+  app_metadata: { provider: 'email' },
+  user_metadata: {},
+  // Like the auth server, only list factors when there are some
+  ...(user.factors.length > 0 && { factors: user.factors })
+});
+
+const profile = (user) => ({
+  id: user.id,
+  username: user.email.split('@')[0].replace(/\W/g, '_'),
+  email: user.email,
+  role: user.role
+});
+
+const claimsOf = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+const startFakeSupabase = () => new Promise((resolve) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const user = Object.values(USERS).find(candidate => candidate.id === claimsOf(token)?.sub);
+      requests.push({ method: req.method, path: url.pathname, body });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (url.pathname === '/auth/v1/user') {
+        if (!user) return send(401, { code: 401, msg: 'invalid JWT' });
+        return send(200, authUser(user));
+      }
+      if (url.pathname.startsWith('/rest/v1/profiles')) {
+        const filter = url.searchParams.get('id') || '';
+        // id=in.(a,b) lists profiles, id=eq.a returns a single one
+        if (filter.startsWith('in.')) {
+          const ids = filter.slice(4, -1).split(',');
+          return send(200, Object.values(USERS).filter(candidate => ids.includes(candidate.id)).map(profile));
+        }
+        const match = Object.values(USERS).find(candidate => candidate.id === filter.replace('eq.', ''));
+        return send(200, match ? profile(match) : null);
+      }
+      if (url.pathname === '/rest/v1/user_activity' && req.method === 'POST') {
+        res.writeHead(201);
+        return res.end();
+      }
+      if (url.pathname.startsWith('/auth/v1/admin/users/')) {
+        const target = Object.values(USERS).find(candidate => candidate.id === url.pathname.split('/').pop());
+        if (!target) return send(404, { code: 404, msg: 'User not found' });
+        return send(200, req.method === 'DELETE' ? {} : authUser(target));
+      }
+      if (url.pathname === '/auth/v1/logout') {
+        res.writeHead(204);
+        return res.end();
+      }
+      send(404, { msg: `not faked: ${url.pathname}` });
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+// Signed access token for a test user (HS256, verified locally like a Supabase project JWT)
+const createToken = (user, { aal = 'aal1', supabaseUrl } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({
+    sub: user.id,
+    email: user.email,
+    aud: 'authenticated',
+    role: 'authenticated',
+    iss: `${supabaseUrl}/auth/v1`,
+    exp: now + 3600,
+    iat: now,
+    aal,
+    amr: [{ method: aal === 'aal2' ? 'totp' : 'password', timestamp: now }],
+    session_id: crypto.randomUUID()
+  });
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Start the fake Supabase, then load the app against it (config modules read the environment on require)
+const setup = async () => {
+  const fake = await startFakeSupabase();
+
+  process.env.SUPABASE_URL = fake.url;
+  process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  process.env.SUPABASE_JWT_SECRET = JWT_SECRET;
+  process.env.BREACHED_PASSWORD_CHECK = 'offline';
+
+  const express = require('express');
+  const session = require('express-session');
+  const cookieParser = require('cookie-parser');
+  const { addCSRFToken, getCSRFToken } = require('../middleware/csrf');
+
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json());
+  app.use(session({ secret: 'test-session-secret', resave: false, saveUninitialized: false }));
+  app.use(addCSRFToken);
+  app.get('/api/csrf-token', getCSRFToken);
+  app.use('/api/account', require('../routes/account'));
+  app.use('/api/admin', require('../routes/admin'));
+  app.use('/api', require('../routes/supabase-auth'));
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // One client = one cookie jar and CSRF token, like a browser tab
+  const createClient = () => {
+    const cookies = new Map();
+    let csrfToken = null;
+
+    const send = async (path, { method = 'GET', token, body } = {}) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+      if (cookies.size > 0) headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      for (const cookie of response.headers.getSetCookie()) {
+        const [pair] = cookie.split(';');
+        const [name, ...value] = pair.split('=');
+        cookies.set(name, value.join('='));
+      }
+      if (response.headers.get('x-csrf-token')) csrfToken = response.headers.get('x-csrf-token');
+
+      return { status: response.status, body: await response.json().catch(() => null) };
+    };
+
+    return { send, cookies };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => fake.server.close(resolve));
+  };
+
+  return {
+    fake,
+    createClient,
+    tokenFor: (user, options) => createToken(user, { ...options, supabaseUrl: fake.url }),
+    close
+  };
+};
+
+module.exports = { USERS, setup };
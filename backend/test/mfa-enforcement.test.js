@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { USERS, setup } = require('./helpers');
+
+let env;
+
+before(async () => {
+  env = await setup();
+});
+
+after(async () => {
+  await env.close();
+});
+
+test('an AAL1 session of an MFA account is refused on admin routes', async () => {
+  const client = env.createClient();
+  const response = await client.send('/api/admin/security/status', { token: env.tokenFor(USERS.mfaAdmin) });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.data.mfaRequired, true);
+});
+
+test('an AAL1 session of an MFA account is refused on account routes', async () => {
+  const client = env.createClient();
+  const response = await client.send('/api/account/export', { token: env.tokenFor(USERS.mfaAdmin) });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.data.mfaRequired, true);
+});
+
+test('an AAL1 session of an MFA account is refused on locally verified routes', async () => {
+  const client = env.createClient();
+  await client.send('/api/csrf-token');
+  const response = await client.send('/api/profile', {
+    method: 'PATCH',
+    token: env.tokenFor(USERS.mfaAdmin),
+    body: { full_name: 'Mallory' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.data.mfaRequired, true);
+});
+
+test('an AAL2 session of an MFA account reaches admin routes', async () => {
+  const client = env.createClient();
+  const response = await client.send('/api/admin/security/status', { token: env.tokenFor(USERS.mfaAdmin, { aal: 'aal2' }) });
+
+  assert.strictEqual(response.status, 200);
+});
+
+test('an AAL1 session of an account without MFA reaches admin routes', async () => {
+  const client = env.createClient();
+  const response = await client.send('/api/admin/security/status', { token: env.tokenFor(USERS.admin) });
+
+  assert.strictEqual(response.status, 200);
+});
+
+test('an AAL1 session waiting for its MFA code can still sign out', async () => {
+  const client = env.createClient();
+  await client.send('/api/csrf-token');
+  const response = await client.send('/api/logout', { method: 'POST', token: env.tokenFor(USERS.mfaAdmin), body: {} });
+
+  assert.strictEqual(response.status, 200);
+});
+
+test('an AAL1 session of an MFA account cannot change the password', async () => {
+  const client = env.createClient();
+  await client.send('/api/csrf-token');
+  const response = await client.send('/api/account/password', {
+    method: 'POST',
+    token: env.tokenFor(USERS.mfaAdmin),
+    body: { password: 'N3w-Passw0rd-Value!' }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.data.mfaRequired, true);
+  assert.ok(!env.fake.requests.some(request => request.method === 'PUT' && request.path === '/auth/v1/user'));
+});
+
+test('optional authentication treats a session waiting for its MFA code as anonymous', async () => {
+  const client = env.createClient();
+  const pending = await client.send('/api/supabase-health', { token: env.tokenFor(USERS.mfaAdmin) });
+  const verified = await client.send('/api/supabase-health', { token: env.tokenFor(USERS.mfaAdmin, { aal: 'aal2' }) });
+
+  assert.strictEqual(pending.body.data.authenticated, false);
+  assert.strictEqual(verified.body.data.authenticated, true);
+});
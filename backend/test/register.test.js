@@ -0,0 +1,26 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setup } = require('./helpers');
+
+let env;
+
+before(async () => {
+  env = await setup();
+});
+
+after(async () => {
+  await env.close();
+});
+
+test('registration refuses a password known from data breaches', async () => {
+  const client = env.createClient();
+  await client.send('/api/csrf-token');
+  const response = await client.send('/api/register', {
+    method: 'POST',
+    body: { username: 'new_user', email: 'new-user@example.com', password: 'Sunshine1' }
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.ok(response.body.data.errors.some(error => error.path === 'password'));
+  assert.ok(!env.fake.requests.some(request => request.path === '/auth/v1/signup'));
+});
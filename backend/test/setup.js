@@ -0,0 +1,9 @@
+const { Console } = require('console');
+
+// Preloaded into every test process (see the "test" script in package.json)
+// The test runner reads results from the test process's stdout, and on Node 20 a log line written
+// there between two results can corrupt them - keep all application output on stderr:
+// NODE_ENV=test routes the logger's console output to stderr (LOG_CONSOLE in middleware/logger.js),
+// and the plain console.log calls go through a console whose stdout is stderr
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+global.console = new Console({ stdout: process.stderr, stderr: process.stderr });
@@ -0,0 +1,79 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore, RedisStore } = require('../config/store');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+const removeTmpDir = () => fs.rmSync(tmpDir, { recursive: true, force: true });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every backend has to behave the same - the rate limiters and the lockout only see this interface
+// Redis runs only when REDIS_URL points at a server (keys are unique per run and removed afterwards)
+const backends = [
+  { name: 'memory', create: () => new MemoryStore() },
+  { name: 'file', create: () => new FileStore(path.join(tmpDir, 'rate-limits.json')) },
+  { name: 'redis', create: () => new RedisStore(process.env.REDIS_URL), skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }
+];
+
+for (const backend of backends) {
+  describe(`${backend.name} store`, { skip: backend.skip }, () => {
+    const runId = crypto.randomUUID();
+    const usedKeys = [];
+    let store;
+
+    const key = (name) => {
+      const fullKey = `test:${runId}:${name}`;
+      usedKeys.push(fullKey);
+      return fullKey;
+    };
+
+    before(async () => {
+      store = backend.create();
+      await store.ready;
+      // FileStore flushes again on exit - registered after it, so this runs last
+      if (backend.name === 'file') process.on('exit', removeTmpDir);
+    });
+
+    after(async () => {
+      if (backend.name === 'redis') {
+        await Promise.all(usedKeys.map(usedKey => store.delete(usedKey)));
+        await store.client.quit();
+      }
+    });
+
+    test('a counter starts over once its window has expired', async () => {
+      const counter = key('expiry');
+
+      const first = await store.increment(counter, 100);
+      assert.strictEqual(first.count, 1);
+      assert.ok(first.resetTime.getTime() > Date.now());
+      assert.strictEqual((await store.increment(counter, 100)).count, 2);
+
+      await sleep(150);
+      assert.strictEqual((await store.increment(counter, 100)).count, 1);
+    });
+
+    test('concurrent increments are all counted', async () => {
+      const counter = key('concurrent');
+      const results = await Promise.all(Array.from({ length: 25 }, () => store.increment(counter, 60 * 1000)));
+
+      const counts = results.map(result => result.count).sort((a, b) => a - b);
+      assert.deepStrictEqual(counts, Array.from({ length: 25 }, (_, i) => i + 1));
+      assert.strictEqual(await store.get(counter), 25);
+    });
+
+    test('a reset counter starts over', async () => {
+      const counter = key('reset');
+      await store.increment(counter, 60 * 1000);
+      await store.increment(counter, 60 * 1000);
+
+      await store.resetKey(counter);
+      assert.strictEqual(await store.get(counter), null);
+      assert.strictEqual((await store.increment(counter, 60 * 1000)).count, 1);
+    });
+  });
+}
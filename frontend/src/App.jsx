@@ -4,8 +4,15 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import EmailConfirm from './components/EmailConfirm';
 import Home from './components/Home';
 import ProtectedRoute from './components/ProtectedRoute';
+import RoleRoute from './components/RoleRoute';
+import AdminDashboard from './components/AdminDashboard';
+import AccountActivity from './components/AccountActivity';
+import Profile from './components/Profile';
 import './styles/global.css';
 
 // Component to handle default route logic
@@ -28,6 +35,9 @@ function App() {
               {/* Public routes */}
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/auth/confirm" element={<EmailConfirm />} />
               
               {/* Protected routes */}
               <Route 
@@ -38,6 +48,34 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+
+              <Route
+                path="/profile"
+                element={
+                  <ProtectedRoute>
+                    <Profile />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/activity"
+                element={
+                  <ProtectedRoute>
+                    <AccountActivity />
+                  </ProtectedRoute>
+                }
+              />
+
+              {/* Role-restricted routes */}
+              <Route
+                path="/admin"
+                element={
+                  <RoleRoute role="moderator">
+                    <AdminDashboard />
+                  </RoleRoute>
+                }
+              />
               
               {/* Catch all route */}
               <Route path="*" element={<Navigate to="/" replace />} />
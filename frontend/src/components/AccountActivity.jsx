@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { listActivity } from '../lib/activityApi';
+import '../styles/Activity.css';
+
+const PER_PAGE = 20;
+
+const ACTIVITY_LABELS = {
+  LOGIN: 'Signed in',
+  LOGIN_FAILED: 'Failed sign-in',
+  LOGOUT: 'Signed out',
+  PROFILE_UPDATED: 'Profile updated',
+  PASSWORD_CHANGED: 'Password changed',
+  MFA_ENROLLMENT_STARTED: 'Authenticator setup started',
+  MFA_VERIFIED: 'Authenticator code accepted',
+  MFA_VERIFY_FAILED: 'Wrong authenticator code',
+  MFA_FACTOR_REMOVED: 'Authenticator removed',
+  SESSION_REVOKED: 'Device signed out',
+  OTHER_SESSIONS_REVOKED: 'All other devices signed out',
+  DATA_EXPORTED: 'Personal data exported'
+};
+
+const FILTERS = [
+  { value: '', label: 'All activity' },
+  { value: 'LOGIN,LOGIN_FAILED', label: 'Sign-ins' },
+  { value: 'LOGIN_FAILED,MFA_VERIFY_FAILED', label: 'Failed attempts' },
+  { value: 'PASSWORD_CHANGED,PROFILE_UPDATED', label: 'Account changes' },
+  { value: 'MFA_ENROLLMENT_STARTED,MFA_VERIFIED,MFA_VERIFY_FAILED,MFA_FACTOR_REMOVED', label: 'Two-factor' },
+  { value: 'LOGOUT,SESSION_REVOKED,OTHER_SESSIONS_REVOKED', label: 'Sign-outs' }
+];
+
+const PERIODS = [
+  { value: '', label: 'Any time' },
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' }
+];
+
+const FAILURE_TYPES = ['LOGIN_FAILED', 'MFA_VERIFY_FAILED'];
+
+// Per-user security log, so users can spot sign-ins they do not recognize
+const AccountActivity = () => {
+  const [activities, setActivities] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filter, setFilter] = useState('');
+  const [period, setPeriod] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadActivity = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    const since = period ? new Date(Date.now() - period * 24 * 60 * 60 * 1000).toISOString() : '';
+    const result = await listActivity({
+      page,
+      perPage: PER_PAGE,
+      types: filter ? filter.split(',') : [],
+      since
+    });
+
+    if (result.status === 'success') {
+      setActivities(result.data.activities);
+      setTotal(result.data.total);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  }, [page, filter, period]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  const totalPages = Math.max(Math.ceil(total / PER_PAGE), 1);
+
+  return (
+    <div className="activity-container">
+      <div className="activity-card">
+        <h1>Account activity</h1>
+        <p className="activity-intro">
+          Recent security events on your account. Don't recognize a sign-in? Change your password
+          and sign out other devices from your <Link to="/home">dashboard</Link>.
+        </p>
+
+        <div className="activity-filters">
+          <select value={filter} onChange={(e) => { setFilter(e.target.value); setPage(1); }}>
+            {FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={period} onChange={(e) => { setPeriod(e.target.value); setPage(1); }}>
+            {PERIODS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && <div className="activity-error">{error}</div>}
+
+        {activities.length === 0 ? (
+          <p className="activity-empty">{loading ? 'Loading activity...' : 'No activity found'}</p>
+        ) : (
+          <ul className="activity-list">
+            {activities.map(activity => (
+              <li key={activity.id} className={FAILURE_TYPES.includes(activity.type) ? 'activity-failure' : ''}>
+                <div className="activity-main">
+                  <span className="activity-type">{ACTIVITY_LABELS[activity.type] || activity.type}</span>
+                  <span className="activity-time">{new Date(activity.createdAt).toLocaleString()}</span>
+                </div>
+                {activity.description && <div className="activity-description">{activity.description}</div>}
+                <div className="activity-meta" title={activity.userAgent || ''}>
+                  {activity.device} · {activity.ip || 'Unknown IP'}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="activity-pagination">
+          <button className="btn btn-primary" disabled={page === 1 || loading} onClick={() => setPage(page - 1)}>
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button className="btn btn-primary" disabled={page >= totalPages || loading} onClick={() => setPage(page + 1)}>
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountActivity;
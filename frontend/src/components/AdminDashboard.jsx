@@ -0,0 +1,46 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import AdminUserTable from './AdminUserTable';
+import SecurityStatus from './SecurityStatus';
+import SecurityEventFeed from './SecurityEventFeed';
+import CspViolations from './CspViolations';
+import '../styles/Admin.css';
+
+// Moderators can look around; only admins get the management actions
+const AdminDashboard = () => {
+  const { hasRole, role } = useAuth();
+  const canManage = hasRole('admin');
+
+  return (
+    <div className="admin-container">
+      <div className="admin-header">
+        <h1>Administration</h1>
+        <span className={`role-badge role-${role}`}>{role}</span>
+      </div>
+
+      <section className="admin-panel">
+        <h2>Users</h2>
+        <AdminUserTable canManage={canManage} />
+      </section>
+
+      <div className="admin-grid">
+        <section className="admin-panel">
+          <h2>Rate Limits &amp; Lockouts</h2>
+          <SecurityStatus canManage={canManage} />
+        </section>
+
+        <section className="admin-panel">
+          <h2>Recent Security Events</h2>
+          <SecurityEventFeed />
+        </section>
+      </div>
+
+      <section className="admin-panel">
+        <h2>Content-Security-Policy Violations</h2>
+        <CspViolations />
+      </section>
+    </div>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  listUsers,
+  banUser,
+  unbanUser,
+  deleteUser,
+  confirmUserEmail,
+  forcePasswordReset
+} from '../lib/adminApi';
+import securityUtils from '../lib/security';
+
+const PER_PAGE = 20;
+
+const BAN_DURATIONS = [
+  { value: '24h', label: '24 hours' },
+  { value: '168h', label: '7 days' },
+  { value: '720h', label: '30 days' },
+  { value: 'permanent', label: 'Permanent' }
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const isBanned = (user) => !!user.bannedUntil && new Date(user.bannedUntil) > new Date();
+
+// Searchable, paged user list with moderation actions
+const AdminUserTable = ({ canManage }) => {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [banDuration, setBanDuration] = useState('24h');
+  const [loading, setLoading] = useState(false);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    const result = await listUsers({ page, perPage: PER_PAGE, search });
+    if (result.status === 'success') {
+      setUsers(result.data.users);
+      setTotal(result.data.total ?? null);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  }, [page, search]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+
+    const term = searchInput.trim();
+    if (term && !/^[a-zA-Z0-9@._+-]+$/.test(term)) {
+      setError('Search may only contain letters, numbers and @._+-');
+      return;
+    }
+
+    setPage(1);
+    setSearch(term);
+  };
+
+  // Run an action against one user, then reload the page of users
+  const runAction = async (user, action, confirmText, eventName) => {
+    if (confirmText && !window.confirm(confirmText)) {
+      return;
+    }
+
+    setBusyUserId(user.id);
+    setError('');
+    setMessage('');
+
+    const result = await action(user.id);
+    if (result.status === 'success') {
+      setMessage(`${result.message}: ${user.email}`);
+      securityUtils.logSecurityEvent(eventName, { targetUser: user.id });
+      await loadUsers();
+    } else {
+      setError(result.message);
+    }
+
+    setBusyUserId(null);
+  };
+
+  const totalPages = total ? Math.max(Math.ceil(total / PER_PAGE), 1) : null;
+  const hasNextPage = totalPages ? page < totalPages : users.length === PER_PAGE;
+
+  return (
+    <div>
+      <form onSubmit={handleSearch} className="admin-toolbar">
+        <input
+          type="text"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          className="admin-input"
+          placeholder="Search by email or username"
+          maxLength={100}
+        />
+        <button type="submit" className="admin-btn" disabled={loading}>
+          Search
+        </button>
+        {search && (
+          <button type="button" className="admin-btn admin-btn-secondary" onClick={() => { setSearchInput(''); setSearch(''); setPage(1); }}>
+            Clear
+          </button>
+        )}
+
+        {canManage && (
+          <label className="admin-toolbar-label">
+            Ban duration
+            <select value={banDuration} onChange={(e) => setBanDuration(e.target.value)} className="admin-input">
+              {BAN_DURATIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </form>
+
+      {error && <div className="admin-alert admin-alert-error">{error}</div>}
+      {message && <div className="admin-alert admin-alert-success">{message}</div>}
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Username</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>MFA</th>
+              <th>Last sign in</th>
+              {canManage && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {users.length === 0 && (
+              <tr>
+                <td colSpan={canManage ? 7 : 6} className="admin-empty">
+                  {loading ? 'Loading users...' : 'No users found'}
+                </td>
+              </tr>
+            )}
+            {users.map(user => (
+              <tr key={user.id}>
+                <td>{user.email}</td>
+                <td>{user.username || '—'}</td>
+                <td><span className={`role-badge role-${user.role}`}>{user.role}</span></td>
+                <td>
+                  {isBanned(user) ? (
+                    <span className="status-badge status-banned" title={`Until ${formatDate(user.bannedUntil)}`}>Banned</span>
+                  ) : user.emailConfirmed ? (
+                    <span className="status-badge status-active">Active</span>
+                  ) : (
+                    <span className="status-badge status-pending">Unconfirmed</span>
+                  )}
+                </td>
+                <td>{user.mfaEnabled ? 'On' : 'Off'}</td>
+                <td>{formatDate(user.lastSignIn)}</td>
+                {canManage && (
+                  <td className="admin-actions">
+                    {isBanned(user) ? (
+                      <button
+                        className="admin-btn admin-btn-small"
+                        disabled={busyUserId === user.id}
+                        onClick={() => runAction(user, unbanUser, null, 'ADMIN_USER_UNBANNED')}
+                      >
+                        Unban
+                      </button>
+                    ) : (
+                      <button
+                        className="admin-btn admin-btn-small admin-btn-warning"
+                        disabled={busyUserId === user.id}
+                        onClick={() => runAction(
+                          user,
+                          (userId) => banUser(userId, { duration: banDuration }),
+                          `Ban ${user.email} (${BAN_DURATIONS.find(option => option.value === banDuration).label})?`,
+                          'ADMIN_USER_BANNED'
+                        )}
+                      >
+                        Ban
+                      </button>
+                    )}
+                    {!user.emailConfirmed && (
+                      <button
+                        className="admin-btn admin-btn-small admin-btn-secondary"
+                        disabled={busyUserId === user.id}
+                        onClick={() => runAction(user, confirmUserEmail, null, 'ADMIN_EMAIL_CONFIRMED')}
+                      >
+                        Confirm email
+                      </button>
+                    )}
+                    <button
+                      className="admin-btn admin-btn-small admin-btn-secondary"
+                      disabled={busyUserId === user.id}
+                      onClick={() => runAction(user, forcePasswordReset, `Send a password reset email to ${user.email}?`, 'ADMIN_PASSWORD_RESET')}
+                    >
+                      Reset password
+                    </button>
+                    <button
+                      className="admin-btn admin-btn-small admin-btn-danger"
+                      disabled={busyUserId === user.id}
+                      onClick={() => runAction(user, deleteUser, `Permanently delete ${user.email}? This cannot be undone.`, 'ADMIN_USER_DELETED')}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="admin-pagination">
+        <button className="admin-btn admin-btn-secondary" disabled={page === 1 || loading} onClick={() => setPage(page - 1)}>
+          Previous
+        </button>
+        <span>
+          Page {page}{totalPages ? ` of ${totalPages}` : ''}{total !== null ? ` · ${total} users` : ''}
+        </span>
+        <button className="admin-btn admin-btn-secondary" disabled={!hasNextPage || loading} onClick={() => setPage(page + 1)}>
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AdminUserTable;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { reauthenticate, changePassword } from '../lib/accountApi';
+import securityUtils from '../lib/security';
+import PasswordBreachWarning from './PasswordBreachWarning';
+
+const EMPTY_FORM = { currentPassword: '', password: '', confirmPassword: '' };
+
+// Dashboard card for changing the password of the signed-in account
+const ChangePassword = () => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // The server checks the password policy when the password is changed
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    // Confirm the current password first - the backend only changes it for recently authenticated sessions
+    const reauthResult = await reauthenticate(formData.currentPassword);
+    if (reauthResult.status !== 'success') {
+      setError(reauthResult.message === 'Incorrect password' ? 'Your current password is incorrect' : reauthResult.message);
+      setLoading(false);
+      return;
+    }
+
+    const result = await changePassword(formData.password);
+    if (result.status === 'success') {
+      securityUtils.logSecurityEvent('PASSWORD_CHANGED');
+      setFormData(EMPTY_FORM);
+      setMessage(result.message);
+    } else {
+      setError(result.data?.errors?.[0]?.msg || result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="dashboard-card">
+      <h3>Change Password</h3>
+
+      {error && <p className="card-message card-error">{error}</p>}
+      {message && <p className="card-message card-success">{message}</p>}
+
+      <form onSubmit={handleSubmit} className="password-form">
+        <label htmlFor="current-password">Current password</label>
+        <input
+          id="current-password"
+          name="currentPassword"
+          type="password"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          autoComplete="current-password"
+          disabled={loading}
+        />
+        <label htmlFor="new-password">New password</label>
+        <input
+          id="new-password"
+          name="password"
+          type="password"
+          value={formData.password}
+          onChange={handleChange}
+          autoComplete="new-password"
+          disabled={loading}
+        />
+        <PasswordBreachWarning password={formData.password} />
+        <label htmlFor="confirm-new-password">Confirm new password</label>
+        <input
+          id="confirm-new-password"
+          name="confirmPassword"
+          type="password"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          autoComplete="new-password"
+          disabled={loading}
+        />
+        <button
+          type="submit"
+          className="btn"
+          disabled={loading || !formData.currentPassword || !formData.password || !formData.confirmPassword}
+        >
+          {loading ? 'Changing...' : 'Change password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
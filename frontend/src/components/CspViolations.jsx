@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getCSPViolations } from '../lib/adminApi';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+// Violations reported by browsers, grouped by directive and blocked URI (most frequent first)
+const CspViolations = () => {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadSummary = useCallback(async () => {
+    const result = await getCSPViolations();
+    if (result.status === 'success') {
+      setSummary(result.data);
+      setError('');
+    } else {
+      setError(result.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSummary();
+    const timer = setInterval(loadSummary, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadSummary]);
+
+  if (!summary) {
+    return error
+      ? <div className="admin-alert admin-alert-error">{error}</div>
+      : <p className="admin-empty">Loading CSP violations...</p>;
+  }
+
+  return (
+    <div>
+      {error && <div className="admin-alert admin-alert-error">{error}</div>}
+
+      <p className="admin-meta">
+        Mode: <strong>{summary.mode}</strong> · {summary.totalReports} report{summary.totalReports === 1 ? '' : 's'}, {summary.distinct} distinct since {new Date(summary.since).toLocaleString()}
+      </p>
+
+      {summary.violations.length === 0 ? (
+        <p className="admin-empty">No violations reported</p>
+      ) : (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Directive</th>
+                <th>Blocked URI</th>
+                <th>Count</th>
+                <th>Last page</th>
+                <th>Last seen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.violations.map(violation => (
+                <tr key={`${violation.directive} ${violation.blockedUri}`}>
+                  <td>
+                    {violation.directive}
+                    {violation.disposition === 'report' && <span className="admin-meta"> (report only)</span>}
+                  </td>
+                  <td className="csp-blocked-uri">{violation.blockedUri}</td>
+                  <td>{violation.count}</td>
+                  <td className="csp-blocked-uri">{violation.documentUri || '-'}</td>
+                  <td>{new Date(violation.lastSeen).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CspViolations;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { exportAccountData, reauthenticate, deleteAccount, downloadJson } from '../lib/accountApi';
+import securityUtils from '../lib/security';
+
+// Dashboard card with the personal data export and account deletion
+const DangerZone = () => {
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [confirmText, setConfirmText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleExport = async () => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    const result = await exportAccountData();
+    if (result.status === 'success') {
+      downloadJson(result.data, `account-export-${result.data.exportedAt.slice(0, 10)}.json`);
+      securityUtils.logSecurityEvent('ACCOUNT_DATA_EXPORTED');
+      setMessage('Your data export has been downloaded.');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const cancelDelete = () => {
+    setConfirming(false);
+    setPassword('');
+    setConfirmText('');
+    setError('');
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+
+    if (confirmText !== 'DELETE') {
+      setError('Type DELETE to confirm');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    // Confirm the password first - the backend only deletes recently authenticated sessions
+    const reauthResult = await reauthenticate(password);
+    if (reauthResult.status !== 'success') {
+      setError(reauthResult.message);
+      setPassword('');
+      setLoading(false);
+      return;
+    }
+
+    const result = await deleteAccount();
+    if (result.status !== 'success') {
+      setError(result.data?.mfaRequired
+        ? 'Sign in again with your authenticator code before deleting your account.'
+        : result.message);
+      setLoading(false);
+      return;
+    }
+
+    securityUtils.logSecurityEvent('ACCOUNT_DELETED');
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="dashboard-card danger-zone">
+      <h3>Danger Zone</h3>
+
+      {error && <p className="card-message card-error">{error}</p>}
+      {message && <p className="card-message card-success">{message}</p>}
+
+      <p>Download a copy of your profile, account details and activity history.</p>
+      <button type="button" className="btn" onClick={handleExport} disabled={loading}>
+        Download my data
+      </button>
+
+      <hr />
+
+      {confirming ? (
+        <form onSubmit={handleDelete} className="danger-form">
+          <p>
+            This permanently deletes your account, profile and activity history. It cannot be undone.
+          </p>
+          <label htmlFor="delete-password">Confirm your password</label>
+          <input
+            id="delete-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            disabled={loading}
+          />
+          <label htmlFor="delete-confirm">Type DELETE to confirm</label>
+          <input
+            id="delete-confirm"
+            type="text"
+            value={confirmText}
+            onChange={(e) => setConfirmText(e.target.value)}
+            autoComplete="off"
+            disabled={loading}
+          />
+          <div className="danger-actions">
+            <button type="submit" className="btn btn-delete" disabled={loading || !password || confirmText !== 'DELETE'}>
+              {loading ? 'Deleting...' : 'Delete my account'}
+            </button>
+            <button type="button" className="btn" onClick={cancelDelete} disabled={loading}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p>Deleting your account removes all of your data and cannot be undone.</p>
+          <button type="button" className="btn btn-delete" onClick={() => setConfirming(true)}>
+            Delete account
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DangerZone;
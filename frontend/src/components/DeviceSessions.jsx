@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listSessions, revokeSession, revokeOtherSessions } from '../lib/sessionsApi';
+import securityUtils from '../lib/security';
+
+// Dashboard card listing the devices the account is signed in on
+const DeviceSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    const result = await listSessions();
+    if (result.status === 'success') {
+      setSessions(result.data.sessions);
+    } else {
+      setError(result.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const runAction = async (action, successEvent) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    const result = await action();
+    if (result.status === 'success') {
+      securityUtils.logSecurityEvent(successEvent);
+      setMessage(result.message);
+      await loadSessions();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleRevoke = (session) => {
+    if (!window.confirm(`Sign out ${session.device}?`)) {
+      return;
+    }
+
+    runAction(() => revokeSession(session.id), 'SESSION_REVOKED');
+  };
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    runAction(revokeOtherSessions, 'OTHER_SESSIONS_REVOKED');
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className="dashboard-card">
+      <h3>Devices</h3>
+
+      {error && <p className="card-message card-error">{error}</p>}
+      {message && <p className="card-message card-success">{message}</p>}
+
+      <p>Devices where your account is currently signed in.</p>
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id}>
+            <div className="session-info">
+              <span className="session-device" title={session.userAgent || ''}>
+                {session.device}
+                {session.current && <span className="session-current">This device</span>}
+              </span>
+              <span className="session-meta">
+                {session.ip || 'Unknown IP'} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+              </span>
+              <span className="session-meta">
+                Signed in {new Date(session.createdAt).toLocaleString()}
+              </span>
+            </div>
+            {!session.current && (
+              <button type="button" className="btn" onClick={() => handleRevoke(session)} disabled={loading}>
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasOtherSessions && (
+        <button type="button" className="btn" onClick={handleRevokeOthers} disabled={loading}>
+          {loading ? 'Signing out...' : 'Sign out all other devices'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DeviceSessions;
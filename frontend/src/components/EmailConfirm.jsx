@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import securityUtils from '../lib/security';
+import { getAuthRedirectParams, clearAuthRedirectParams } from '../lib/redirect';
+import ResendVerification from './ResendVerification';
+import '../styles/Login.css';
+
+// Landing page for the email confirmation link
+const EmailConfirm = () => {
+  // Read the confirmation parameters once, before the URL is cleared
+  const [params] = useState(getAuthRedirectParams);
+  const [status, setStatus] = useState(() => {
+    if (params.errorCode || params.errorDescription) return 'expired';
+    if (params.tokenHash) return 'verifying';
+    if (params.accessToken) return 'success'; // Implicit flow - Supabase already confirmed the address
+    return 'invalid';
+  });
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    clearAuthRedirectParams();
+
+    if (!params.tokenHash || params.errorCode) {
+      return;
+    }
+
+    const confirmEmail = async () => {
+      try {
+        const response = await securityUtils.secureRequest('/api/verification/confirm', {
+          method: 'POST',
+          body: JSON.stringify({
+            token_hash: params.tokenHash,
+            type: params.type || 'email'
+          })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+          setStatus('success');
+          setMessage(result.message);
+          securityUtils.logSecurityEvent('EMAIL_CONFIRMED');
+        } else {
+          setStatus(result.data?.expired ? 'expired' : 'invalid');
+          setMessage(result.message);
+        }
+      } catch (error) {
+        console.error('Email confirmation error:', error);
+        setStatus('invalid');
+        setMessage('An unexpected error occurred. Please try again.');
+      }
+    };
+
+    confirmEmail();
+  }, [params]);
+
+  return (
+    <div className="login-container">
+      <div className="login-form">
+        <h2 className="login-title">Email Confirmation</h2>
+
+        {status === 'verifying' && (
+          <p className="form-hint">Confirming your email address...</p>
+        )}
+
+        {status === 'success' && (
+          <div className="error-message success-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+            {message || 'Your email address has been confirmed. You can now sign in.'}
+          </div>
+        )}
+
+        {(status === 'expired' || status === 'invalid') && (
+          <>
+            <div className="error-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+              {status === 'expired'
+                ? 'This confirmation link has expired or was already used.'
+                : message || 'This confirmation link is invalid.'}
+            </div>
+            <p className="form-hint">Enter your email to receive a new confirmation link.</p>
+            <ResendVerification />
+          </>
+        )}
+
+        <div className="login-footer">
+          <Link to="/login" className="btn-link">
+            Go to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailConfirm;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import securityUtils from '../lib/security';
+import '../styles/Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const handleChange = (e) => {
+    setEmail(securityUtils.sanitizeInput(e.target.value));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!securityUtils.isValidEmail(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await securityUtils.secureRequest('/api/password/forgot', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setMessage(result.message);
+        securityUtils.logSecurityEvent('PASSWORD_RESET_REQUESTED', { email });
+      } else {
+        setError(result.message || 'Failed to request a password reset. Please try again.');
+      }
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <form onSubmit={handleSubmit} className="login-form">
+        <h2 className="login-title">Forgot Password</h2>
+
+        {message ? (
+          <div className="error-message success-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+            {message}
+          </div>
+        ) : (
+          <>
+            <p className="form-hint">
+              Enter your account email and we will send you a link to reset your password.
+            </p>
+
+            {error && (
+              <div className="error-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+                {error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Enter your email"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button type="submit" className="btn" disabled={loading}>
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </>
+        )}
+
+        <div className="login-footer">
+          <p>Remembered your password?</p>
+          <Link to="/login" className="btn-link">
+            Back to login
+          </Link>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ForgotPassword;
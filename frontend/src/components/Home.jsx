@@ -1,5 +1,9 @@
 import React from 'react';
 import { useAuth } from '../context/AuthContext';
+import MfaSetup from './MfaSetup';
+import DeviceSessions from './DeviceSessions';
+import ChangePassword from './ChangePassword';
+import DangerZone from './DangerZone';
 import '../styles/Home.css';
 
 const Home = () => {
@@ -28,6 +32,14 @@ const Home = () => {
             </div>
           )}
         </div>
+
+        {/* Account Security */}
+        <div className="dashboard-section">
+          <MfaSetup />
+          <DeviceSessions />
+          <ChangePassword />
+          <DangerZone />
+        </div>
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import securityUtils from '../lib/security';
+import ResendVerification from './ResendVerification';
 import '../styles/Login.css';
 
 const Login = () => {
@@ -14,8 +15,10 @@ const Login = () => {
   const [error, setError] = useState('');
   const [validationErrors, setValidationErrors] = useState([]);
   const [rateLimitInfo, setRateLimitInfo] = useState(null);
+  const [needsConfirmation, setNeedsConfirmation] = useState(false);
+  const [mfaCode, setMfaCode] = useState('');
 
-  const { login, isAuthenticated, loading: authLoading, signInWithGoogle } = useAuth();
+  const { login, logout, isAuthenticated, loading: authLoading, signInWithGoogle, mfaChallenge, verifyMfa } = useAuth();
   const navigate = useNavigate();
 
   // Redirect to home if already authenticated
@@ -41,6 +44,7 @@ const Login = () => {
     if (error) setError('');
     if (validationErrors.length > 0) setValidationErrors([]);
     if (rateLimitInfo && !rateLimitInfo.allowed) setRateLimitInfo(null);
+    if (needsConfirmation) setNeedsConfirmation(false);
   };
 
   const handleSubmit = async (e) => {
@@ -75,7 +79,10 @@ const Login = () => {
 
     const result = await login(formData);
 
-    if (result.success) {
+    if (result.mfaRequired) {
+      // Password accepted - the form switches to the code step
+      securityUtils.logSecurityEvent('MFA_CHALLENGE', { email: formData.email });
+    } else if (result.success) {
       console.log('Login successful! Auth state will update and redirect automatically.');
       securityUtils.logSecurityEvent('LOGIN_SUCCESS', { email: formData.email });
       securityUtils.clearRateLimit('login'); // Clear rate limit on success
@@ -83,6 +90,7 @@ const Login = () => {
     } else {
       console.error('Login failed:', result.message);
       setError(result.message);
+      setNeedsConfirmation(!!result.needsEmailConfirmation);
       securityUtils.logSecurityEvent('LOGIN_FAILED', { 
         email: formData.email, 
         reason: result.message 
@@ -96,6 +104,38 @@ const Login = () => {
     setLoading(false);
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(mfaCode)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const result = await verifyMfa(mfaCode);
+
+    if (result.success) {
+      securityUtils.logSecurityEvent('LOGIN_SUCCESS', { email: formData.email, mfa: true });
+      securityUtils.clearRateLimit('login');
+    } else {
+      setError(result.message);
+      setMfaCode('');
+      securityUtils.logSecurityEvent('MFA_FAILED', { email: formData.email });
+    }
+
+    setLoading(false);
+  };
+
+  // Abandon the code step - drops the half-authenticated session
+  const handleMfaCancel = async () => {
+    setMfaCode('');
+    setError('');
+    await logout();
+  };
+
   const handleGoogleSignIn = async () => {
     setIsGoogleLoading(true);
     setError('');
@@ -116,6 +156,56 @@ const Login = () => {
     }
   };
 
+  if (mfaChallenge) {
+    return (
+      <div className="login-container">
+        <form onSubmit={handleMfaSubmit} className="login-form">
+          <h2 className="login-title">Two-Factor Authentication</h2>
+
+          <p className="form-hint">
+            Enter the 6-digit code from your authenticator app to finish signing in.
+          </p>
+
+          {error && (
+            <div className="error-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="mfaCode" className="form-label">
+              Verification Code
+            </label>
+            <input
+              type="text"
+              id="mfaCode"
+              name="mfaCode"
+              value={mfaCode}
+              onChange={(e) => setMfaCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              className="form-input"
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              disabled={loading}
+            />
+          </div>
+
+          <button type="submit" className="btn" disabled={loading}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <div className="login-footer">
+            <button type="button" onClick={handleMfaCancel} className="btn-link" disabled={loading}>
+              Cancel and sign in as someone else
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <form onSubmit={handleSubmit} className="login-form">
@@ -133,6 +223,10 @@ const Login = () => {
           </div>
         )}
         
+        {needsConfirmation && (
+          <ResendVerification email={formData.email} />
+        )}
+        
         {validationErrors.length > 0 && (
           <div className="error-message" style={{ textAlign: 'left', marginBottom: '20px' }}>
             <ul>
@@ -175,6 +269,9 @@ const Login = () => {
             required
             disabled={loading}
           />
+          <Link to="/forgot-password" className="forgot-password-link">
+            Forgot your password?
+          </Link>
         </div>
 
         <button
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import securityUtils from '../lib/security';
+
+// Dashboard card for enrolling and removing TOTP authenticator apps
+const MfaSetup = () => {
+  const [factors, setFactors] = useState([]);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { listMfaFactors, enrollMfa, confirmMfaFactor, removeMfaFactor } = useAuth();
+
+  const loadFactors = useCallback(async () => {
+    const result = await listMfaFactors();
+    if (result.success) {
+      setFactors(result.factors.filter(factor => factor.status === 'verified'));
+    } else {
+      setError(result.message);
+    }
+  }, [listMfaFactors]);
+
+  useEffect(() => {
+    loadFactors();
+  }, [loadFactors]);
+
+  const handleEnroll = async () => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    const result = await enrollMfa();
+    if (result.success) {
+      setEnrollment({ factorId: result.factorId, qrCode: result.qrCode, secret: result.secret });
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const result = await confirmMfaFactor(enrollment.factorId, code);
+    if (result.success) {
+      securityUtils.logSecurityEvent('MFA_ENROLLED');
+      setEnrollment(null);
+      setMessage('Two-factor authentication is now enabled.');
+      await loadFactors();
+    } else {
+      setError(result.message);
+    }
+
+    setCode('');
+    setLoading(false);
+  };
+
+  const handleRemove = async (factorId) => {
+    if (!window.confirm('Remove this authenticator? Your account will only be protected by its password.')) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    const result = await removeMfaFactor(factorId);
+    if (result.success) {
+      securityUtils.logSecurityEvent('MFA_REMOVED');
+      setMessage(result.message);
+      await loadFactors();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="dashboard-card">
+      <h3>Two-Factor Authentication</h3>
+
+      {error && <p className="card-message card-error">{error}</p>}
+      {message && <p className="card-message card-success">{message}</p>}
+
+      {enrollment ? (
+        <form onSubmit={handleConfirm}>
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <img src={enrollment.qrCode} alt="Authenticator QR code" className="mfa-qr" />
+          <p>
+            Can't scan it? Enter this key manually: <code className="mfa-secret">{enrollment.secret}</code>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            className="mfa-code-input"
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            disabled={loading}
+          />
+          <button type="submit" className="btn" disabled={loading}>
+            {loading ? 'Verifying...' : 'Enable'}
+          </button>
+        </form>
+      ) : factors.length > 0 ? (
+        <>
+          <p>Your account asks for a code from your authenticator app when you sign in.</p>
+          <ul className="mfa-factor-list">
+            {factors.map(factor => (
+              <li key={factor.id}>
+                <span>{factor.friendlyName || 'Authenticator app'}</span>
+                <button type="button" className="btn" onClick={() => handleRemove(factor.id)} disabled={loading}>
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <>
+          <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+          <button type="button" className="btn" onClick={handleEnroll} disabled={loading}>
+            {loading ? 'Starting...' : 'Set up authenticator app'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MfaSetup;
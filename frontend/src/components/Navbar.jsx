@@ -4,7 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import '../styles/Navbar.css';
 
 const Navbar = () => {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, hasRole } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -12,6 +12,11 @@ const Navbar = () => {
     navigate('/login');
   };
 
+  const handleLogoutAllDevices = () => {
+    logout({ scope: 'global' });
+    navigate('/login');
+  };
+
   return (
     <nav className="navbar">
       <div className="navbar-container">
@@ -27,6 +32,23 @@ const Navbar = () => {
                   Home
                 </Link>
               </li>
+              <li>
+                <Link to="/profile" className="nav-link">
+                  Profile
+                </Link>
+              </li>
+              <li>
+                <Link to="/activity" className="nav-link">
+                  Activity
+                </Link>
+              </li>
+              {hasRole('moderator') && (
+                <li>
+                  <Link to="/admin" className="nav-link">
+                    Admin
+                  </Link>
+                </li>
+              )}
               <li>
                 <div className="user-info">
                   <span className="user-welcome">
@@ -38,6 +60,13 @@ const Navbar = () => {
                   >
                     Logout
                   </button>
+                  <button 
+                    onClick={handleLogoutAllDevices} 
+                    className="logout-btn"
+                    title="Sign out of every device"
+                  >
+                    Logout all devices
+                  </button>
                 </div>
               </li>
             </>
@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react';
+import { isPasswordBreached } from '../lib/passwordCheck';
+import { getPolicy } from '../lib/policy';
+
+const CHECK_DELAY_MS = 600;
+
+// Warns while typing when a new password is known from data breaches
+// The backend makes the same check and rejects such passwords on submit
+const PasswordBreachWarning = ({ password }) => {
+  const [breachedPassword, setBreachedPassword] = useState(null);
+
+  useEffect(() => {
+    if (!password || password.length < getPolicy().password.minLength) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const breached = await isPasswordBreached(password);
+      if (!cancelled) setBreachedPassword(breached ? password : null);
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password]);
+
+  // Only warn about the exact password that was checked
+  if (!password || breachedPassword !== password) return null;
+
+  return (
+    <span className="password-breach-warning" role="alert">
+      This password has appeared in a data breach. Please choose a different one.
+    </span>
+  );
+};
+
+export default PasswordBreachWarning;
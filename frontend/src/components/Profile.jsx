@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { usePolicy } from '../lib/policy';
+import '../styles/Profile.css';
+
+const FIELDS = ['username', 'full_name', 'avatar_url', 'bio'];
+const BIO_MAX_LENGTH = 300;
+
+// Current profile values as form state (null becomes '')
+const toFormData = (profile) => {
+  return FIELDS.reduce((formData, field) => ({ ...formData, [field]: profile?.[field] || '' }), {});
+};
+
+const Profile = () => {
+  const { user, updateProfile } = useAuth();
+  const policy = usePolicy();
+
+  const [formData, setFormData] = useState(() => toFormData(user?.profile));
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const savedData = toFormData(user?.profile);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Clear field error when the user edits it
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+    setMessage('');
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    // The username policy is checked by the server, its errors are shown next to the field
+    if (formData.avatar_url && !formData.avatar_url.startsWith('https://')) {
+      newErrors.avatar_url = 'Avatar URL must start with https://';
+    }
+    if (formData.bio.length > BIO_MAX_LENGTH) {
+      newErrors.bio = `Bio must be at most ${BIO_MAX_LENGTH} characters`;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    // Only send what changed (PATCH semantics)
+    const changes = FIELDS
+      .filter(field => formData[field] !== savedData[field])
+      .reduce((changed, field) => ({ ...changed, [field]: formData[field].trim() }), {});
+
+    if (Object.keys(changes).length === 0) {
+      setMessage('No changes to save');
+      return;
+    }
+
+    setIsLoading(true);
+    setErrors({});
+    setMessage('');
+
+    const result = await updateProfile(changes);
+
+    if (result.success) {
+      setFormData(toFormData(result.data));
+      setMessage('Profile saved');
+    } else if (result.errors) {
+      // Show server validation errors next to their fields
+      const fieldErrors = result.errors.reduce((mapped, error) => ({
+        ...mapped,
+        [FIELDS.includes(error.path) ? error.path : 'general']: error.msg
+      }), {});
+      setErrors(fieldErrors);
+    } else {
+      setErrors({ general: result.message });
+    }
+
+    setIsLoading(false);
+  };
+
+  return (
+    <div className="profile-container">
+      <form onSubmit={handleSubmit} className="profile-form">
+        <h2 className="profile-title">Your Profile</h2>
+
+        {errors.general && <div className="error-message form-error">{errors.general}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        <div className="profile-avatar">
+          {formData.avatar_url && !errors.avatar_url ? (
+            <img src={formData.avatar_url} alt="Avatar preview" referrerPolicy="no-referrer" />
+          ) : (
+            <span>{(formData.full_name || formData.username || user?.email || '?').charAt(0).toUpperCase()}</span>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="username" className="form-label">Username</label>
+          <input
+            type="text"
+            id="username"
+            name="username"
+            value={formData.username}
+            onChange={handleChange}
+            className={`form-input ${errors.username ? 'error' : ''}`}
+            maxLength={policy.username.maxLength}
+            disabled={isLoading}
+          />
+          {errors.username && <span className="error-message">{errors.username}</span>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="full_name" className="form-label">Full name</label>
+          <input
+            type="text"
+            id="full_name"
+            name="full_name"
+            value={formData.full_name}
+            onChange={handleChange}
+            className={`form-input ${errors.full_name ? 'error' : ''}`}
+            maxLength={100}
+            autoComplete="name"
+            disabled={isLoading}
+          />
+          {errors.full_name && <span className="error-message">{errors.full_name}</span>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="avatar_url" className="form-label">Avatar URL</label>
+          <input
+            type="url"
+            id="avatar_url"
+            name="avatar_url"
+            value={formData.avatar_url}
+            onChange={handleChange}
+            className={`form-input ${errors.avatar_url ? 'error' : ''}`}
+            placeholder="https://"
+            disabled={isLoading}
+          />
+          {errors.avatar_url && <span className="error-message">{errors.avatar_url}</span>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="bio" className="form-label">Bio</label>
+          <textarea
+            id="bio"
+            name="bio"
+            value={formData.bio}
+            onChange={handleChange}
+            className={`form-input ${errors.bio ? 'error' : ''}`}
+            rows={4}
+            maxLength={BIO_MAX_LENGTH}
+            disabled={isLoading}
+          />
+          <span className="char-count">{formData.bio.length}/{BIO_MAX_LENGTH}</span>
+          {errors.bio && <span className="error-message">{errors.bio}</span>}
+        </div>
+
+        <p className="profile-email">Email: {user?.email}</p>
+
+        <button type="submit" className="btn" disabled={isLoading}>
+          {isLoading ? 'Saving...' : 'Save profile'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Profile;
@@ -1,8 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { checkUsernameAvailable } from '../lib/usernameApi';
+import { usePolicy, getPasswordRequirements } from '../lib/policy';
+import PasswordBreachWarning from './PasswordBreachWarning';
 import '../styles/Register.css';
 
+const USERNAME_CHECK_DELAY_MS = 500;
+
 const Register = () => {
   const [formData, setFormData] = useState({
     username: '',
@@ -14,8 +19,11 @@ const Register = () => {
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [isGoogleLoading, setIsGoogleLoading] = useState(false);
+  // state: idle | checking | available | taken | invalid (message: the rule it breaks) | unknown (check failed - the server decides on submit)
+  const [usernameStatus, setUsernameStatus] = useState({ state: 'idle', suggestions: [] });
   
   const { register, isAuthenticated, loading: authLoading, signInWithGoogle } = useAuth();
+  const policy = usePolicy();
   const navigate = useNavigate();
 
   // Redirect to home if already authenticated
@@ -26,22 +34,41 @@ const Register = () => {
     }
   }, [isAuthenticated, authLoading, navigate]);
 
+  // Check the username once the user stops typing - the server applies the username policy too
+  useEffect(() => {
+    const username = formData.username;
+    if (!username.trim()) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await checkUsernameAvailable(username);
+      if (cancelled) return;
+
+      const ruleError = result.data?.errors?.[0];
+      if (result.status === 'success') {
+        setUsernameStatus({
+          state: result.data.available ? 'available' : 'taken',
+          suggestions: result.data.suggestions || []
+        });
+      } else if (ruleError) {
+        setUsernameStatus({ state: 'invalid', message: ruleError.msg, suggestions: [] });
+      } else {
+        setUsernameStatus({ state: 'unknown', suggestions: [] });
+      }
+    }, USERNAME_CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.username]);
+
   // Email validation helper
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
   };
 
-  // Password validation helper
-  const validatePassword = (password) => {
-    return {
-      minLength: password.length >= 8,
-      hasUppercase: /[A-Z]/.test(password),
-      hasLowercase: /[a-z]/.test(password),
-      hasNumber: /\d/.test(password)
-    };
-  };
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -49,6 +76,10 @@ const Register = () => {
       [name]: value
     }));
 
+    if (name === 'username') {
+      setUsernameStatus({ state: value.trim() ? 'checking' : 'idle', suggestions: [] });
+    }
+
     // Clear specific field error when user starts typing
     if (errors[name]) {
       setErrors(prev => ({
@@ -72,10 +103,10 @@ const Register = () => {
     // Username validation
     if (!formData.username.trim()) {
       newErrors.username = 'Username is required';
-    } else if (formData.username.length < 3) {
-      newErrors.username = 'Username must be at least 3 characters';
-    } else if (!/^[a-zA-Z0-9_]+$/.test(formData.username)) {
-      newErrors.username = 'Username can only contain letters, numbers, and underscores';
+    } else if (usernameStatus.state === 'invalid') {
+      newErrors.username = usernameStatus.message;
+    } else if (usernameStatus.state === 'taken') {
+      newErrors.username = 'This username is already taken';
     }
 
     // Email validation
@@ -85,16 +116,9 @@ const Register = () => {
       newErrors.email = 'Please enter a valid email address';
     }
 
-    // Password validation
+    // Password validation - the policy itself is checked by the server on submit
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else {
-      const passwordReqs = validatePassword(formData.password);
-      if (!passwordReqs.minLength) {
-        newErrors.password = 'Password must be at least 8 characters';
-      } else if (!passwordReqs.hasUppercase || !passwordReqs.hasLowercase || !passwordReqs.hasNumber) {
-        newErrors.password = 'Password must contain uppercase, lowercase, and number';
-      }
     }
 
     // Confirm password validation
@@ -108,6 +132,10 @@ const Register = () => {
     return Object.keys(newErrors).length === 0;
   };
 
+  const handleSuggestionClick = (suggestion) => {
+    handleChange({ target: { name: 'username', value: suggestion } });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -144,6 +172,7 @@ const Register = () => {
           password: '',
           confirmPassword: ''
         });
+        setUsernameStatus({ state: 'idle', suggestions: [] });
         
         // Redirect to login after a delay
         setTimeout(() => {
@@ -178,6 +207,20 @@ const Register = () => {
           }
         }
         
+        // The username was taken between the check and the submit
+        const usernameError = result.errors?.find(error => error.path === 'username');
+        if (usernameError) {
+          setErrors({ username: usernameError.msg });
+          return;
+        }
+
+        // The password policy (including the breached password list) is checked here
+        const passwordError = result.errors?.find(error => error.path === 'password');
+        if (passwordError) {
+          setErrors({ password: passwordError.msg });
+          return;
+        }
+
         setErrors({ general: errorMessage });
       }
     } catch (error) {
@@ -213,13 +256,6 @@ const Register = () => {
     }
   };
 
-  const passwordReqs = formData.password ? validatePassword(formData.password) : {
-    minLength: false,
-    hasUppercase: false,
-    hasLowercase: false,
-    hasNumber: false
-  };
-
   return (
     <div className="register-container">
       <form onSubmit={handleSubmit} className="register-form">
@@ -246,12 +282,41 @@ const Register = () => {
             onChange={handleChange}
             className={`form-input ${errors.username ? 'error' : ''}`}
             placeholder="Enter your username"
+            maxLength={policy.username.maxLength}
             disabled={isLoading}
             required
           />
+          {!errors.username && usernameStatus.state === 'checking' && (
+            <span className="username-status checking">Checking availability...</span>
+          )}
+          {!errors.username && usernameStatus.state === 'available' && (
+            <span className="username-status available">Username is available</span>
+          )}
+          {!errors.username && usernameStatus.state === 'taken' && (
+            <span className="username-status taken">Username is already taken</span>
+          )}
+          {!errors.username && usernameStatus.state === 'invalid' && (
+            <span className="username-status taken">{usernameStatus.message}</span>
+          )}
           {errors.username && (
             <span className="error-message">{errors.username}</span>
           )}
+          {usernameStatus.state === 'taken' && usernameStatus.suggestions.length > 0 && (
+            <div className="username-suggestions">
+              <span>Try:</span>
+              {usernameStatus.suggestions.map(suggestion => (
+                <button
+                  key={suggestion}
+                  type="button"
+                  className="username-suggestion"
+                  onClick={() => handleSuggestionClick(suggestion)}
+                  disabled={isLoading}
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="form-group">
@@ -294,21 +359,16 @@ const Register = () => {
           {formData.password && (
             <div className="password-requirements">
               <ul>
-                <li className={passwordReqs.minLength ? 'valid' : 'invalid'}>
-                  At least 8 characters
-                </li>
-                <li className={passwordReqs.hasUppercase ? 'valid' : 'invalid'}>
-                  One uppercase letter
-                </li>
-                <li className={passwordReqs.hasLowercase ? 'valid' : 'invalid'}>
-                  One lowercase letter
-                </li>
-                <li className={passwordReqs.hasNumber ? 'valid' : 'invalid'}>
-                  One number
-                </li>
+                {getPasswordRequirements(formData.password, policy).map(requirement => (
+                  <li key={requirement.id} className={requirement.met ? 'valid' : 'invalid'}>
+                    {requirement.label}
+                  </li>
+                ))}
               </ul>
             </div>
           )}
+
+          <PasswordBreachWarning password={formData.password} />
           
           {errors.password && (
             <span className="error-message">{errors.password}</span>
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import securityUtils from '../lib/security';
+
+// Requests a new confirmation email; asks for the address when none is known
+const ResendVerification = ({ email: knownEmail = '' }) => {
+  const [email, setEmail] = useState(knownEmail);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleResend = async () => {
+    if (!securityUtils.isValidEmail(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await securityUtils.secureRequest('/api/verification/resend', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setMessage(result.message);
+        securityUtils.logSecurityEvent('VERIFICATION_RESENT', { email });
+      } else {
+        setError(result.message || 'Failed to resend the confirmation email. Please try again.');
+      }
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="error-message success-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+        {message}
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-group">
+      {!knownEmail && (
+        <input
+          type="email"
+          name="resendEmail"
+          value={email}
+          onChange={(e) => setEmail(securityUtils.sanitizeInput(e.target.value))}
+          className="form-input"
+          placeholder="Enter your email"
+          disabled={loading}
+          style={{ marginBottom: '10px' }}
+        />
+      )}
+
+      {error && (
+        <div className="error-message" style={{ textAlign: 'center', marginBottom: '10px' }}>
+          {error}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleResend}
+        className="btn"
+        disabled={loading}
+      >
+        {loading ? 'Sending...' : 'Resend verification email'}
+      </button>
+    </div>
+  );
+};
+
+export default ResendVerification;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import securityUtils from '../lib/security';
+import { getAuthRedirectParams, clearAuthRedirectParams } from '../lib/redirect';
+import PasswordBreachWarning from './PasswordBreachWarning';
+import '../styles/Login.css';
+
+const ResetPassword = () => {
+  // Read the recovery token once, before supabase-js or a re-render clears the URL
+  const [recovery] = useState(getAuthRedirectParams);
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  const { isAuthenticated, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const hasToken = !!(recovery.tokenHash || (recovery.accessToken && recovery.refreshToken));
+  const linkError = recovery.errorDescription || (!hasToken && 'This password reset link is invalid or incomplete.');
+
+  useEffect(() => {
+    clearAuthRedirectParams();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (error) setError('');
+    if (validationErrors.length > 0) setValidationErrors([]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // The server checks the password policy and reports what the password breaks
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await securityUtils.secureRequest('/api/password/reset', {
+        method: 'POST',
+        body: JSON.stringify({
+          password: formData.password,
+          ...(recovery.tokenHash
+            ? { token_hash: recovery.tokenHash }
+            : { access_token: recovery.accessToken, refresh_token: recovery.refreshToken })
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        setError(result.message || 'Failed to reset password. Please try again.');
+        if (result.data?.errors) setValidationErrors(result.data.errors);
+        return;
+      }
+
+      securityUtils.logSecurityEvent('PASSWORD_RESET_COMPLETED');
+      setMessage(result.message);
+      setFormData({ password: '', confirmPassword: '' });
+
+      // The reset revoked every session, drop the recovery session supabase-js may hold
+      if (isAuthenticated) {
+        await logout();
+      }
+
+      setTimeout(() => {
+        navigate('/login');
+      }, 3000);
+    } catch (error) {
+      console.error('Reset password error:', error);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <form onSubmit={handleSubmit} className="login-form">
+        <h2 className="login-title">Reset Password</h2>
+
+        {message && (
+          <div className="error-message success-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+            {message}
+          </div>
+        )}
+
+        {!message && linkError && (
+          <div className="error-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+            {linkError} Please request a new reset link.
+          </div>
+        )}
+
+        {!message && !linkError && (
+          <>
+            {error && (
+              <div className="error-message" style={{ textAlign: 'center', marginBottom: '20px' }}>
+                {error}
+              </div>
+            )}
+
+            {validationErrors.length > 0 && (
+              <div className="error-message" style={{ textAlign: 'left', marginBottom: '20px' }}>
+                <ul>
+                  {validationErrors.map((error, index) => (
+                    <li key={index}>{error.msg}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">
+                New Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Enter a new password"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+              <PasswordBreachWarning password={formData.password} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword" className="form-label">
+                Confirm New Password
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Confirm your new password"
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <button type="submit" className="btn" disabled={loading}>
+              {loading ? 'Resetting...' : 'Reset password'}
+            </button>
+          </>
+        )}
+
+        <div className="login-footer">
+          {linkError && !message ? (
+            <Link to="/forgot-password" className="btn-link">
+              Request a new reset link
+            </Link>
+          ) : (
+            <Link to="/login" className="btn-link">
+              Back to login
+            </Link>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Like ProtectedRoute, but also requires a minimum role (UI gate only - the API enforces roles)
+const RoleRoute = ({ role, children }) => {
+  const { isAuthenticated, hasRole } = useAuth();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return hasRole(role) ? children : <Navigate to="/home" replace />;
+};
+
+export default RoleRoute;
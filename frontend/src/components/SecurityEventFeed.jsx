@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getSecurityEvents } from '../lib/adminApi';
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_EVENTS = 100;
+
+// Short label for each event category
+const describeEvent = (event) => {
+  switch (event.category) {
+    case 'AUTH_EVENT':
+      return event.event;
+    case 'SECURITY_VIOLATION':
+      return event.type;
+    case 'RATE_LIMIT_EXCEEDED':
+      return 'RATE_LIMIT';
+    case 'ADMIN_ACTION':
+      return event.action;
+    case 'CSP_VIOLATION':
+      return `CSP ${event.directive}`;
+    default:
+      return event.category;
+  }
+};
+
+const eventLevel = (event) => {
+  if (['SECURITY_VIOLATION', 'RATE_LIMIT_EXCEEDED', 'CSP_VIOLATION'].includes(event.category)) return 'warning';
+  if (event.category === 'AUTH_EVENT' && event.success === false) return 'warning';
+  if (event.category === 'ADMIN_ACTION') return 'admin';
+  return 'info';
+};
+
+const eventDetails = (event) => {
+  return [event.email, event.targetUser, event.url, event.blockedUri, event.reason, event.ip]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+// Polls the backend for security events newer than the last one seen (newest first)
+const SecurityEventFeed = () => {
+  const [events, setEvents] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [error, setError] = useState('');
+  const lastEventId = useRef(0);
+
+  useEffect(() => {
+    if (paused) return undefined;
+
+    let cancelled = false;
+
+    const poll = async () => {
+      const result = await getSecurityEvents(lastEventId.current);
+      if (cancelled) return;
+
+      if (result.status === 'success') {
+        setError('');
+        const newEvents = result.data.events;
+        if (newEvents.length > 0) {
+          lastEventId.current = newEvents[newEvents.length - 1].id;
+          setEvents(current => [...newEvents.reverse(), ...current].slice(0, MAX_EVENTS));
+        }
+      } else {
+        setError(result.message);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [paused]);
+
+  return (
+    <div>
+      <div className="admin-toolbar">
+        <span className={`live-indicator ${paused ? 'paused' : ''}`}>
+          {paused ? 'Paused' : 'Live'}
+        </span>
+        <button className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => setPaused(!paused)}>
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+        <button className="admin-btn admin-btn-secondary admin-btn-small" onClick={() => setEvents([])} disabled={events.length === 0}>
+          Clear
+        </button>
+      </div>
+
+      {error && <div className="admin-alert admin-alert-error">{error}</div>}
+
+      {events.length === 0 ? (
+        <p className="admin-empty">No security events yet</p>
+      ) : (
+        <ul className="event-feed">
+          {events.map(event => (
+            <li key={event.id} className={`event-item event-${eventLevel(event)}`}>
+              <div className="event-header">
+                <span className="event-name">{describeEvent(event)}</span>
+                <span className="event-time">{new Date(event.timestamp).toLocaleTimeString()}</span>
+              </div>
+              <div className="event-details">{eventDetails(event)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SecurityEventFeed;
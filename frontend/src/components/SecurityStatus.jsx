@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSecurityStatus, getLockoutStatus, unlockAccount } from '../lib/adminApi';
+import securityUtils from '../lib/security';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const formatWindow = (windowMs) => {
+  const minutes = windowMs / 60000;
+  return minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`;
+};
+
+// Rate limiter settings, locked accounts and a lockout lookup by email
+const SecurityStatus = ({ canManage }) => {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [lookupEmail, setLookupEmail] = useState('');
+  const [lockout, setLockout] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    const result = await getSecurityStatus();
+    if (result.status === 'success') {
+      setStatus(result.data);
+    } else {
+      setError(result.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+    const timer = setInterval(loadStatus, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [loadStatus]);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+
+    if (!securityUtils.isValidEmail(lookupEmail)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    const result = await getLockoutStatus(lookupEmail);
+    if (result.status === 'success') {
+      setLockout(result.data.lockout);
+    } else {
+      setError(result.message);
+    }
+
+    setBusy(false);
+  };
+
+  const handleUnlock = async (email) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    const result = await unlockAccount(email);
+    if (result.status === 'success') {
+      setMessage(`Unlocked ${email}`);
+      securityUtils.logSecurityEvent('ADMIN_ACCOUNT_UNLOCKED', { email });
+      if (lockout && lockout.email === email) {
+        setLockout(null);
+      }
+      await loadStatus();
+    } else {
+      setError(result.message);
+    }
+
+    setBusy(false);
+  };
+
+  if (!status) {
+    return error
+      ? <div className="admin-alert admin-alert-error">{error}</div>
+      : <p className="admin-empty">Loading security status...</p>;
+  }
+
+  return (
+    <div>
+      {error && <div className="admin-alert admin-alert-error">{error}</div>}
+      {message && <div className="admin-alert admin-alert-success">{message}</div>}
+
+      <p className="admin-meta">Counter store: <strong>{status.store}</strong></p>
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Limiter</th>
+            <th>Max requests</th>
+            <th>Window</th>
+          </tr>
+        </thead>
+        <tbody>
+          {status.rateLimits.map(limit => (
+            <tr key={limit.name}>
+              <td>{limit.name}</td>
+              <td>{limit.max}</td>
+              <td>{formatWindow(limit.windowMs)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Locked accounts</h3>
+      {status.lockedAccounts.length === 0 ? (
+        <p className="admin-empty">No accounts are locked</p>
+      ) : (
+        <ul className="locked-list">
+          {status.lockedAccounts.map(account => (
+            <li key={account.email}>
+              <span>
+                {account.email}
+                <span className="admin-meta"> until {new Date(account.lockedUntil).toLocaleTimeString()}</span>
+              </span>
+              {canManage && (
+                <button className="admin-btn admin-btn-small" onClick={() => handleUnlock(account.email)} disabled={busy}>
+                  Unlock
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canManage && (
+        <>
+          <h3>Lockout lookup</h3>
+          <form onSubmit={handleLookup} className="admin-toolbar">
+            <input
+              type="email"
+              value={lookupEmail}
+              onChange={(e) => setLookupEmail(e.target.value)}
+              className="admin-input"
+              placeholder="user@example.com"
+              maxLength={254}
+            />
+            <button type="submit" className="admin-btn" disabled={busy || !lookupEmail}>
+              Check
+            </button>
+          </form>
+
+          {lockout && (
+            <div className="lockout-result">
+              <p>
+                <strong>{lockout.email}</strong>: {lockout.failures} recent failed login{lockout.failures === 1 ? '' : 's'}
+                {lockout.locked && `, locked until ${new Date(lockout.lockedUntil).toLocaleTimeString()}`}
+                {!lockout.locked && lockout.retryAfter > 0 && `, backoff for ${lockout.retryAfter}s`}
+              </p>
+              {lockout.failures > 0 && (
+                <button className="admin-btn admin-btn-small" onClick={() => handleUnlock(lockout.email)} disabled={busy}>
+                  Clear failures
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SecurityStatus;
@@ -1,8 +1,43 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { supabase, AUTH_ERRORS } from '../lib/supabase';
+import { supabase, AUTH_ERRORS, AUTH_MODE } from '../lib/supabase';
+import apiClient from '../lib/api';
+import securityUtils from '../lib/security';
 
 const AuthContext = createContext();
 
+// Read the claims of an access token (display/flow decisions only - the backend verifies tokens)
+const decodeAccessToken = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
+    } catch {
+        return {};
+    }
+};
+
+// Verified TOTP factors of a supabase-js user, in the backend's response shape
+const getVerifiedFactors = (user) => {
+    return (user?.factors || [])
+        .filter(factor => factor.factor_type === 'totp' && factor.status === 'verified')
+        .map(factor => ({ id: factor.id, type: factor.factor_type, friendlyName: factor.friendly_name }));
+};
+
+// Roles in ascending order - mirrors backend/config/roles.js
+const ROLE_HIERARCHY = ['user', 'moderator', 'admin'];
+
+// Effective role of a user (UI only - the backend enforces roles)
+// Cookie mode gets the resolved role from /api/user; supabase mode resolves it like the backend does
+const getUserRole = (user) => {
+    const candidates = [user?.role, user?.app_metadata?.role, user?.profile?.role];
+    return candidates.find(role => ROLE_HIERARCHY.includes(role)) || 'user';
+};
+
+// A password-only (AAL1) session for an account with MFA still needs the code step
+const needsMfaStep = (session) => {
+    return getVerifiedFactors(session.user).length > 0 &&
+        decodeAccessToken(session.access_token).aal !== 'aal2';
+};
+
 export const useAuth = () => {
     const context = useContext(AuthContext);
     if (!context) {
@@ -15,15 +50,44 @@ export const AuthProvider = ({ children }) => {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
+    // Set while a password-verified login waits for its MFA code: { factors }
+    const [mfaChallenge, setMfaChallenge] = useState(null);
 
     useEffect(() => {
+        if (AUTH_MODE === 'cookie') {
+            // Tokens live in httpOnly cookies - ask the backend who is signed in
+            const getCurrentUser = async () => {
+                const currentUser = await apiClient.getCurrentUser();
+                const pendingMfa = currentUser?.mfa?.factors.length > 0 && currentUser.mfa.aal !== 'aal2';
+
+                setUser(currentUser);
+                setIsAuthenticated(!!currentUser && !pendingMfa);
+                setMfaChallenge(pendingMfa ? { factors: currentUser.mfa.factors } : null);
+                setLoading(false);
+            };
+
+            getCurrentUser();
+
+            // A failed silent refresh ends the session
+            return apiClient.onSessionChange((session) => {
+                if (!session) {
+                    setUser(null);
+                    setIsAuthenticated(false);
+                }
+            });
+        }
+
         // Get initial session
         const getSession = async () => {
             try {
                 const { data: { session }, error } = await supabase.auth.getSession();
                 if (error) throw error;
                 
-                if (session) {
+                if (session && needsMfaStep(session)) {
+                    setUser(session.user);
+                    setIsAuthenticated(false);
+                    setMfaChallenge({ factors: getVerifiedFactors(session.user) });
+                } else if (session) {
                     setUser(session.user);
                     setIsAuthenticated(true);
                     // Fetch user profile data
@@ -48,7 +112,13 @@ export const AuthProvider = ({ children }) => {
             async (event, session) => {
                 console.log('Auth state change:', event, session);
                 
-                if (session) {
+                if (session && needsMfaStep(session)) {
+                    // Password accepted - hold the session back until the MFA code is verified
+                    setUser(session.user);
+                    setIsAuthenticated(false);
+                    setMfaChallenge({ factors: getVerifiedFactors(session.user) });
+                } else if (session) {
+                    setMfaChallenge(null);
                     setUser(session.user);
                     setIsAuthenticated(true);
                     // Fetch user profile data when user signs in
@@ -73,6 +143,14 @@ export const AuthProvider = ({ children }) => {
 
     // Fetch user profile data from profiles table
     const fetchUserProfile = async (userId) => {
+        if (AUTH_MODE === 'cookie') {
+            const currentUser = await apiClient.getCurrentUser();
+            if (currentUser) {
+                setUser(currentUser);
+            }
+            return;
+        }
+
         try {
             const { data, error } = await supabase
                 .from('profiles')
@@ -97,6 +175,36 @@ export const AuthProvider = ({ children }) => {
     const login = async (credentials) => {
         try {
             console.log('Login attempt with:', { email: credentials.email });
+
+            if (AUTH_MODE === 'cookie') {
+                const result = await apiClient.login({
+                    email: credentials.email,
+                    password: credentials.password
+                });
+
+                if (result.status !== 'success') {
+                    return {
+                        success: false,
+                        message: result.message,
+                        errors: result.data?.errors,
+                        needsEmailConfirmation: !!result.data?.needsEmailConfirmation
+                    };
+                }
+
+                if (result.data.mfaRequired) {
+                    setUser(result.data.user);
+                    setMfaChallenge({ factors: result.data.factors });
+                    return { success: false, mfaRequired: true, message: result.message };
+                }
+
+                setUser(result.data.user);
+                setIsAuthenticated(true);
+                return {
+                    success: true,
+                    message: 'Login successful',
+                    user: result.data.user
+                };
+            }
             
             const { data, error } = await supabase.auth.signInWithPassword({
                 email: credentials.email,
@@ -118,10 +226,16 @@ export const AuthProvider = ({ children }) => {
                 return { 
                     success: false, 
                     message: errorMessage,
-                    error: error
+                    error: error,
+                    needsEmailConfirmation: error.message.includes('Email not confirmed')
                 };
             }
 
+            if (data.session && needsMfaStep(data.session)) {
+                setMfaChallenge({ factors: getVerifiedFactors(data.user) });
+                return { success: false, mfaRequired: true, message: 'Multi-factor authentication required' };
+            }
+
             if (data.user) {
                 console.log('Login successful:', data.user.email);
                 return { 
@@ -154,61 +268,33 @@ export const AuthProvider = ({ children }) => {
                 };
             }
 
-            // Sign up with Supabase Auth
-            const { data, error } = await supabase.auth.signUp({
-                email: userData.email,
-                password: userData.password,
-                options: {
-                    data: {
-                        username: userData.username,
-                        display_name: userData.username,
-                    }
-                }
+            // Always through the backend (in supabase mode too): it applies the full password policy,
+            // breached password check included, which a direct supabase.auth.signUp would skip
+            const response = await securityUtils.secureRequest('/api/register', {
+                method: 'POST',
+                body: JSON.stringify({
+                    email: userData.email,
+                    password: userData.password,
+                    username: userData.username
+                })
             });
+            const result = await response.json();
 
-            if (error) {
-                console.error('Registration error:', error);
-                
-                let errorMessage = AUTH_ERRORS.NETWORK_ERROR;
-                if (error.message.includes('User already registered')) {
-                    errorMessage = AUTH_ERRORS.EMAIL_IN_USE;
-                } else if (error.message.includes('Password should be')) {
-                    errorMessage = AUTH_ERRORS.WEAK_PASSWORD;
-                } else {
-                    errorMessage = error.message;
-                }
-                
-                return { 
-                    success: false, 
-                    message: errorMessage,
-                    error: error
-                };
-            }
-
-            if (data.user) {
-                console.log('Registration successful:', data.user.email);
-                
-                // Create profile record
-                await createUserProfile(data.user.id, userData.username);
-                
-                // Check if user needs email confirmation
-                if (!data.session) {
-                    return {
-                        success: true,
-                        message: 'Registration successful! Please check your email to confirm your account.',
-                        user: data.user,
-                        needsConfirmation: true
-                    };
-                }
-                
-                return { 
-                    success: true, 
-                    message: 'Registration successful',
-                    user: data.user
+            if (result.status !== 'success') {
+                return {
+                    success: false,
+                    message: result.message,
+                    errors: result.data?.errors,
+                    error: { message: result.message }
                 };
             }
 
-            return { success: false, message: 'Registration failed' };
+            return {
+                success: true,
+                message: result.message,
+                user: result.data.user,
+                needsConfirmation: result.data.needsEmailConfirmation
+            };
         } catch (error) {
             console.error('Registration exception:', error);
             return { success: false, message: AUTH_ERRORS.NETWORK_ERROR };
@@ -273,11 +359,21 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
-    const logout = async () => {
+    // scope: 'local' signs out this device, 'global' signs out every device
+    const logout = async ({ scope = 'local' } = {}) => {
         try {
-            console.log('Logout attempt');
+            console.log('Logout attempt', { scope });
+
+            setMfaChallenge(null);
+
+            if (AUTH_MODE === 'cookie') {
+                await apiClient.logout(scope);
+                setUser(null);
+                setIsAuthenticated(false);
+                return;
+            }
             
-            const { error } = await supabase.auth.signOut();
+            const { error } = await supabase.auth.signOut({ scope });
             
             if (error) {
                 console.error('Logout error:', error);
@@ -291,30 +387,154 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
-    // Update user profile
+    // Complete a login that is waiting for its MFA code
+    const verifyMfa = async (code) => {
+        const factorId = mfaChallenge?.factors[0]?.id;
+        if (!factorId) return { success: false, message: 'No multi-factor challenge in progress' };
+
+        const result = await confirmMfaFactor(factorId, code);
+        if (!result.success) return result;
+
+        setMfaChallenge(null);
+        if (AUTH_MODE === 'cookie') {
+            setUser(await apiClient.getCurrentUser());
+            setIsAuthenticated(true);
+        }
+        // In supabase mode onAuthStateChange picks up the upgraded (AAL2) session
+
+        return result;
+    };
+
+    // List the user's TOTP factors (verified and pending)
+    const listMfaFactors = async () => {
+        try {
+            if (AUTH_MODE === 'cookie') {
+                const response = await apiClient.request('/api/mfa/factors');
+                const result = await response.json();
+                if (result.status !== 'success') return { success: false, message: result.message };
+                return { success: true, factors: result.data.factors };
+            }
+
+            const { data, error } = await supabase.auth.mfa.listFactors();
+            if (error) return { success: false, message: error.message };
+
+            return {
+                success: true,
+                factors: data.all
+                    .filter(factor => factor.factor_type === 'totp')
+                    .map(factor => ({
+                        id: factor.id,
+                        type: factor.factor_type,
+                        friendlyName: factor.friendly_name,
+                        status: factor.status,
+                        createdAt: factor.created_at
+                    }))
+            };
+        } catch (error) {
+            console.error('List MFA factors exception:', error);
+            return { success: false, message: AUTH_ERRORS.NETWORK_ERROR };
+        }
+    };
+
+    // Start TOTP enrollment - returns { factorId, qrCode, secret }
+    const enrollMfa = async () => {
+        try {
+            if (AUTH_MODE === 'cookie') {
+                const response = await apiClient.request('/api/mfa/enroll', {
+                    method: 'POST',
+                    body: JSON.stringify({})
+                });
+                const result = await response.json();
+                if (result.status !== 'success') return { success: false, message: result.message };
+                return { success: true, ...result.data };
+            }
+
+            // Drop abandoned enrollments first, they clash on friendly name
+            const { data: existing } = await supabase.auth.mfa.listFactors();
+            for (const factor of (existing?.all || []).filter(factor => factor.status === 'unverified')) {
+                await supabase.auth.mfa.unenroll({ factorId: factor.id });
+            }
+
+            const { data, error } = await supabase.auth.mfa.enroll({
+                factorType: 'totp',
+                friendlyName: `Authenticator ${new Date().toISOString().slice(0, 10)}`
+            });
+            if (error) return { success: false, message: error.message };
+
+            return { success: true, factorId: data.id, qrCode: data.totp.qr_code, secret: data.totp.secret };
+        } catch (error) {
+            console.error('MFA enroll exception:', error);
+            return { success: false, message: AUTH_ERRORS.NETWORK_ERROR };
+        }
+    };
+
+    // Verify a TOTP code for a factor - finishes enrollment or a login challenge (session becomes AAL2)
+    const confirmMfaFactor = async (factorId, code) => {
+        try {
+            if (AUTH_MODE === 'cookie') {
+                const response = await apiClient.request('/api/mfa/verify', {
+                    method: 'POST',
+                    body: JSON.stringify({ factorId, code })
+                });
+                const result = await response.json();
+                if (result.status !== 'success') return { success: false, message: result.message };
+
+                apiClient.setSession(result.data.session);
+                return { success: true, message: result.message };
+            }
+
+            const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code });
+            if (error) return { success: false, message: 'Invalid or expired verification code' };
+
+            return { success: true, message: 'Verification successful' };
+        } catch (error) {
+            console.error('MFA verify exception:', error);
+            return { success: false, message: AUTH_ERRORS.NETWORK_ERROR };
+        }
+    };
+
+    // Remove a factor (the backend requires an AAL2 session)
+    const removeMfaFactor = async (factorId) => {
+        try {
+            if (AUTH_MODE === 'cookie') {
+                const response = await apiClient.request(`/api/mfa/factors/${factorId}`, { method: 'DELETE' });
+                const result = await response.json();
+                return { success: result.status === 'success', message: result.message };
+            }
+
+            const { error } = await supabase.auth.mfa.unenroll({ factorId });
+            if (error) return { success: false, message: error.message };
+
+            return { success: true, message: 'MFA factor removed' };
+        } catch (error) {
+            console.error('MFA unenroll exception:', error);
+            return { success: false, message: AUTH_ERRORS.NETWORK_ERROR };
+        }
+    };
+
+    // Update user profile - partial, only the given fields change
+    // Always goes through the backend so the server-side validation applies in both auth modes
     const updateProfile = async (profileData) => {
         try {
             if (!user?.id) return { success: false, message: 'User not authenticated' };
 
-            const { data, error } = await supabase
-                .from('profiles')
-                .update({
-                    ...profileData,
-                    updated_at: new Date().toISOString(),
-                })
-                .eq('id', user.id)
-                .select()
-                .single();
+            const response = await apiClient.request('/api/profile', {
+                method: 'PATCH',
+                body: JSON.stringify(profileData)
+            });
+            const result = await response.json();
 
-            if (error) {
-                console.error('Profile update error:', error);
-                return { success: false, message: error.message };
+            if (result.status !== 'success') {
+                return { success: false, message: result.message, errors: result.data?.errors };
             }
 
-            // Update local user state
-            setUser(prevUser => ({ ...prevUser, profile: data }));
-            
-            return { success: true, message: 'Profile updated successfully', data };
+            setUser(prevUser => ({
+                ...prevUser,
+                username: result.data.profile.username,
+                profile: result.data.profile
+            }));
+
+            return { success: true, message: 'Profile updated successfully', data: result.data.profile };
         } catch (error) {
             console.error('Profile update exception:', error);
             return { success: false, message: 'Failed to update profile' };
@@ -325,6 +545,14 @@ export const AuthProvider = ({ children }) => {
     const signInWithGoogle = async () => {
         try {
             console.log('Google sign-in attempt');
+
+            if (AUTH_MODE === 'cookie') {
+                // OAuth tokens would be handed to supabase-js in the browser
+                return {
+                    success: false,
+                    message: 'Google sign-in is not available in cookie session mode'
+                };
+            }
             
             const { data, error } = await supabase.auth.signInWithOAuth({
                 provider: 'google',
@@ -352,16 +580,31 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    const role = getUserRole(user);
+
+    // Whether the user has at least the given role
+    const hasRole = (requiredRole) => {
+        return isAuthenticated && ROLE_HIERARCHY.indexOf(role) >= ROLE_HIERARCHY.indexOf(requiredRole);
+    };
+
     const value = {
         isAuthenticated,
         user,
+        role,
+        hasRole,
         loading,
         login,
         register,
         logout,
         updateProfile,
         fetchUserProfile,
-        signInWithGoogle
+        signInWithGoogle,
+        mfaChallenge,
+        verifyMfa,
+        listMfaFactors,
+        enrollMfa,
+        confirmMfaFactor,
+        removeMfaFactor
     };
 
     return (
@@ -0,0 +1,48 @@
+// Backend account API (/api/account) - password change, personal data export and account deletion
+import apiClient from './api';
+
+// Send a request and return the parsed { status, message, data } response
+const accountRequest = async (url, options = {}) => {
+    try {
+        const response = await apiClient.request(url, options);
+        return await response.json();
+    } catch (error) {
+        console.error('Account API error:', error);
+        return { status: 'error', message: 'Network error. Please check your connection.', data: null };
+    }
+};
+
+export const exportAccountData = () => accountRequest('/api/account/export');
+
+// Confirm the password so the session counts as recently authenticated
+export const reauthenticate = (password) => {
+    return accountRequest('/api/account/reauthenticate', {
+        method: 'POST',
+        body: JSON.stringify({ password })
+    });
+};
+
+// Needs a recent reauthenticate() - other sessions are signed out
+export const changePassword = (password) => {
+    return accountRequest('/api/account/password', {
+        method: 'POST',
+        body: JSON.stringify({ password })
+    });
+};
+
+export const deleteAccount = () => {
+    return accountRequest('/api/account', {
+        method: 'DELETE',
+        body: JSON.stringify({ confirm: 'DELETE' })
+    });
+};
+
+// Save an export as a .json file in the browser
+export const downloadJson = (data, filename) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,16 @@
+// Backend account activity API (/api/activity) - the caller's own security log
+import apiClient from './api';
+
+export const listActivity = async ({ page = 1, perPage = 20, types = [], since = '' } = {}) => {
+    const params = new URLSearchParams({ page, perPage });
+    if (types.length > 0) params.set('type', types.join(','));
+    if (since) params.set('since', since);
+
+    try {
+        const response = await apiClient.request(`/api/activity?${params}`);
+        return await response.json();
+    } catch (error) {
+        console.error('Activity API error:', error);
+        return { status: 'error', message: 'Network error. Please check your connection.', data: null };
+    }
+};
@@ -0,0 +1,56 @@
+// Backend admin API (/api/admin) - requests carry the session token and CSRF token via apiClient
+import apiClient from './api';
+
+// Send a request and return the parsed { status, message, data } response
+const adminRequest = async (url, options = {}) => {
+    try {
+        const response = await apiClient.request(url, options);
+        return await response.json();
+    } catch (error) {
+        console.error('Admin API error:', error);
+        return { status: 'error', message: 'Network error. Please check your connection.', data: null };
+    }
+};
+
+export const listUsers = ({ page = 1, perPage = 25, search = '' } = {}) => {
+    const params = new URLSearchParams({ page, perPage });
+    if (search) params.set('search', search);
+    return adminRequest(`/api/admin/users?${params}`);
+};
+
+export const getUser = (userId) => adminRequest(`/api/admin/users/${userId}`);
+
+export const banUser = (userId, { duration = 'permanent', reason = '' } = {}) => {
+    return adminRequest(`/api/admin/users/${userId}/ban`, {
+        method: 'POST',
+        body: JSON.stringify({ duration, ...(reason && { reason }) })
+    });
+};
+
+export const unbanUser = (userId) => {
+    return adminRequest(`/api/admin/users/${userId}/unban`, { method: 'POST', body: JSON.stringify({}) });
+};
+
+export const forcePasswordReset = (userId) => {
+    return adminRequest(`/api/admin/users/${userId}/password-reset`, { method: 'POST', body: JSON.stringify({}) });
+};
+
+export const confirmUserEmail = (userId) => {
+    return adminRequest(`/api/admin/users/${userId}/confirm-email`, { method: 'POST', body: JSON.stringify({}) });
+};
+
+export const deleteUser = (userId) => adminRequest(`/api/admin/users/${userId}`, { method: 'DELETE' });
+
+export const getSecurityEvents = (since = 0) => adminRequest(`/api/admin/security/events?since=${since}`);
+
+export const getSecurityStatus = () => adminRequest('/api/admin/security/status');
+
+export const getCSPViolations = (limit = 50) => adminRequest(`/api/admin/security/csp?limit=${limit}`);
+
+export const getLockoutStatus = (email) => {
+    return adminRequest(`/api/admin/lockouts?${new URLSearchParams({ email })}`);
+};
+
+export const unlockAccount = (email) => {
+    return adminRequest('/api/admin/lockouts/unlock', { method: 'POST', body: JSON.stringify({ email }) });
+};
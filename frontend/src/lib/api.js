@@ -0,0 +1,188 @@
+// Backend API client with silent session renewal
+import securityUtils from './security';
+import { supabase, AUTH_MODE } from './supabase';
+
+const SESSION_STORAGE_KEY = 'api_session';
+const REFRESH_MARGIN_MS = 60 * 1000; // Refresh one minute before the access token expires
+
+class ApiClient {
+    constructor() {
+        this.session = this.loadSession();
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        this.listeners = new Set();
+
+        this.scheduleRefresh();
+    }
+
+    // Restore the session saved by a previous page load
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    // Store a session returned by /api/login or /api/token/refresh
+    // (in cookie mode it only carries expires_at - the tokens stay in httpOnly cookies)
+    setSession(session) {
+        this.session = session;
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        this.scheduleRefresh();
+        this.notify();
+    }
+
+    clearSession() {
+        this.session = null;
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.notify();
+    }
+
+    // Subscribe to session changes, returns an unsubscribe function
+    onSessionChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.session));
+    }
+
+    // Renew the session shortly before expires_at
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (!this.session?.expires_at) {
+            return;
+        }
+
+        const delay = Math.max(this.session.expires_at * 1000 - Date.now() - REFRESH_MARGIN_MS, 0);
+        this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+    }
+
+    // Can a 401 be recovered by refreshing? In cookie mode the refresh cookie may exist without local state
+    canRefresh() {
+        return AUTH_MODE === 'cookie' || !!this.session?.refresh_token;
+    }
+
+    // Exchange the refresh token for a new session (concurrent callers share one request)
+    async refreshSession() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        if (!this.canRefresh()) {
+            return false;
+        }
+
+        this.refreshPromise = (async () => {
+            try {
+                const response = await securityUtils.secureRequest('/api/token/refresh', {
+                    method: 'POST',
+                    body: JSON.stringify(this.session?.refresh_token ? { refresh_token: this.session.refresh_token } : {})
+                });
+
+                if (!response.ok) {
+                    this.clearSession();
+                    return false;
+                }
+
+                const data = await response.json();
+                this.setSession(data.data.session);
+                return true;
+            } catch (error) {
+                console.error('Failed to refresh session:', error);
+                return false;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        return this.refreshPromise;
+    }
+
+    // Access token for backend calls - supabase-js owns the session in supabase mode
+    async getAccessToken() {
+        if (AUTH_MODE === 'supabase') {
+            const { data } = await supabase.auth.getSession();
+            return data.session?.access_token || null;
+        }
+        return this.session?.access_token || null;
+    }
+
+    // Make an authenticated API request, retrying once after a refresh on 401
+    async request(url, options = {}) {
+        const send = async () => {
+            const accessToken = await this.getAccessToken();
+            return securityUtils.secureRequest(url, {
+                ...options,
+                headers: {
+                    ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+                    ...options.headers
+                }
+            });
+        };
+
+        let response = await send();
+
+        if (response.status === 401 && this.canRefresh()) {
+            const refreshed = await this.refreshSession();
+            if (refreshed) {
+                response = await send();
+            }
+        }
+
+        return response;
+    }
+
+    async login(credentials) {
+        const response = await securityUtils.secureRequest('/api/login', {
+            method: 'POST',
+            body: JSON.stringify(credentials)
+        });
+        const data = await response.json();
+
+        if (response.ok && data.data?.session) {
+            this.setSession(data.data.session);
+        }
+
+        return data;
+    }
+
+    // Fetch the signed-in user from the backend, null when there is no valid session
+    async getCurrentUser() {
+        try {
+            const response = await this.request('/api/user');
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = await response.json();
+            return data.data.user;
+        } catch (error) {
+            console.error('Failed to fetch current user:', error);
+            return null;
+        }
+    }
+
+    // scope: 'local' ends this device's session, 'global' ends all of them
+    async logout(scope = 'local') {
+        try {
+            await this.request('/api/logout', {
+                method: 'POST',
+                body: JSON.stringify({ scope })
+            });
+        } finally {
+            this.clearSession();
+        }
+    }
+}
+
+// Create singleton instance
+const apiClient = new ApiClient();
+
+export default apiClient;
@@ -0,0 +1,26 @@
+// Breached-password check (/api/password-check) using k-anonymity: the password is hashed here
+// and only the first 5 characters of its SHA-1 hash are sent; the match happens in the browser
+import apiClient from './api';
+
+const sha1Hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+};
+
+// Resolves to true / false, or null when the check could not be made
+export const isPasswordBreached = async (password) => {
+    // crypto.subtle only exists in secure contexts (HTTPS or localhost)
+    if (!password || !globalThis.crypto?.subtle) return null;
+
+    try {
+        const hash = await sha1Hex(password);
+        const response = await apiClient.request(`/api/password-check/range/${hash.substring(0, 5)}`);
+        const result = await response.json();
+
+        if (result.status !== 'success') return null;
+        return result.data.suffixes.includes(hash.substring(5));
+    } catch (error) {
+        console.error('Password check error:', error);
+        return null;
+    }
+};
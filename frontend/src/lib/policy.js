@@ -0,0 +1,78 @@
+// Password and username policy from the backend (GET /api/policy)
+// Only used to describe the rules in the forms - the server checks them and its validation errors
+// are shown next to the fields, so there is no second copy of the checks to keep in sync
+import { useState, useEffect } from 'react';
+
+// Shown only until /api/policy answers (or if it cannot be reached)
+export const FALLBACK_POLICY = {
+    password: {
+        minLength: 8,
+        maxLength: 72,
+        requirements: [
+            { id: 'lowercase', pattern: '[a-z]', label: 'One lowercase letter' },
+            { id: 'uppercase', pattern: '[A-Z]', label: 'One uppercase letter' },
+            { id: 'number', pattern: '\\d', label: 'One number' }
+        ]
+    },
+    username: {
+        minLength: 3,
+        maxLength: 30
+    }
+};
+
+let loadedPolicy = null;
+let policyRequest = null;
+
+// Fetch the policy once per page load (concurrent callers share one request)
+export const loadPolicy = () => {
+    if (!policyRequest) {
+        policyRequest = fetch('/api/policy', { credentials: 'include' })
+            .then(response => response.json())
+            .then(result => {
+                if (result.status !== 'success') throw new Error(result.message);
+                loadedPolicy = result.data;
+                return loadedPolicy;
+            })
+            .catch(error => {
+                console.error('Failed to load validation policy:', error);
+                policyRequest = null; // Try again next time
+                return FALLBACK_POLICY;
+            });
+    }
+    return policyRequest;
+};
+
+// The policy known right now, without waiting
+export const getPolicy = () => loadedPolicy || FALLBACK_POLICY;
+
+// React hook: the fallback policy first, the server's once it has loaded
+export const usePolicy = () => {
+    const [policy, setPolicy] = useState(getPolicy);
+
+    useEffect(() => {
+        if (loadedPolicy) return;
+
+        let cancelled = false;
+        loadPolicy().then(result => {
+            if (!cancelled) setPolicy(result);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    return policy;
+};
+
+// Each password requirement with whether it is met - for requirement checklists
+export const getPasswordRequirements = (password, policy = getPolicy()) => {
+    const value = password || '';
+    return [
+        { id: 'minLength', label: `At least ${policy.password.minLength} characters`, met: value.length >= policy.password.minLength },
+        ...policy.password.requirements.map(requirement => ({
+            id: requirement.id,
+            label: requirement.label,
+            met: new RegExp(requirement.pattern).test(value)
+        }))
+    ];
+};
@@ -0,0 +1,23 @@
+// Helpers for Supabase auth email redirects (password recovery, email confirmation)
+
+// Read auth parameters from the redirect URL
+// Server-side email templates send ?token_hash=...&type=..., the default
+// implicit flow sends #access_token=...&refresh_token=...&type=...
+export const getAuthRedirectParams = () => {
+  const query = new URLSearchParams(window.location.search);
+  const hash = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+  return {
+    tokenHash: query.get('token_hash'),
+    type: query.get('type') || hash.get('type'),
+    accessToken: hash.get('access_token'),
+    refreshToken: hash.get('refresh_token'),
+    errorCode: query.get('error_code') || hash.get('error_code'),
+    errorDescription: query.get('error_description') || hash.get('error_description')
+  };
+};
+
+// Remove tokens from the address bar once they have been read
+export const clearAuthRedirectParams = () => {
+  window.history.replaceState(window.history.state, '', window.location.pathname);
+};
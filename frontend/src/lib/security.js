@@ -8,7 +8,8 @@ class SecurityUtils {
     }
 
     // Get CSRF token from server
-    async getCSRFToken() {
+    // Tokens are bound to the session, so send the same Authorization header as the request it is for
+    async getCSRFToken(authorization) {
         if (this.csrfToken) {
             return this.csrfToken;
         }
@@ -16,7 +17,8 @@ class SecurityUtils {
         try {
             const response = await fetch('/api/csrf-token', {
                 method: 'GET',
-                credentials: 'include'
+                credentials: 'include',
+                ...(authorization && { headers: { Authorization: authorization } })
             });
 
             if (response.ok) {
@@ -32,8 +34,8 @@ class SecurityUtils {
     }
 
     // Make secure API request with CSRF token
-    async secureRequest(url, options = {}) {
-        const csrfToken = await this.getCSRFToken();
+    async secureRequest(url, options = {}, isRetry = false) {
+        const csrfToken = await this.getCSRFToken(options.headers?.Authorization);
         
         const secureOptions = {
             ...options,
@@ -45,7 +47,24 @@ class SecurityUtils {
             }
         };
 
-        return fetch(url, secureOptions);
+        const response = await fetch(url, secureOptions);
+
+        // The server rotates the token on sign-in, sign-out and MFA verification and sends the current one back
+        const currentToken = response.headers.get('X-CSRF-Token');
+        if (currentToken) {
+            this.csrfToken = currentToken;
+        }
+
+        // Token rotated elsewhere (another tab) or expired - retry once with a fresh one
+        if (response.status === 403 && !isRetry) {
+            const result = await response.clone().json().catch(() => null);
+            if (result?.data?.csrfTokenInvalid) {
+                this.csrfToken = null;
+                return this.secureRequest(url, options, true);
+            }
+        }
+
+        return response;
     }
 
     // Sanitize user input on frontend (basic XSS prevention)
@@ -69,32 +88,6 @@ class SecurityUtils {
         return emailRegex.test(email);
     }
 
-    // Validate password strength
-    validatePassword(password) {
-        const minLength = 8;
-        const hasUppercase = /[A-Z]/.test(password);
-        const hasLowercase = /[a-z]/.test(password);
-        const hasNumbers = /\d/.test(password);
-        const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
-        const checks = {
-            minLength: password.length >= minLength,
-            hasUppercase,
-            hasLowercase,
-            hasNumbers,
-            hasSpecialChar
-        };
-
-        const isValid = checks.minLength && checks.hasUppercase && 
-                        checks.hasLowercase && checks.hasNumbers;
-
-        return {
-            isValid,
-            checks,
-            strength: this.calculatePasswordStrength(checks)
-        };
-    }
-
     // Calculate password strength score
     calculatePasswordStrength(checks) {
         let score = 0;
@@ -107,7 +100,8 @@ class SecurityUtils {
         if (checks.hasSpecialChar) score++;
 
         switch (score) {
-            case 0-1:
+            case 0:
+            case 1:
                 level = 'Very Weak';
                 break;
             case 2:
@@ -127,12 +121,6 @@ class SecurityUtils {
         return { score, level };
     }
 
-    // Validate username
-    isValidUsername(username) {
-        const usernameRegex = /^[a-zA-Z0-9_]{3,30}$/;
-        return usernameRegex.test(username);
-    }
-
     // Rate limiting check (client-side)
     checkRateLimit(action, maxAttempts = 5, windowMs = 15 * 60 * 1000) {
         const key = `${action}_attempts`;
@@ -221,21 +209,6 @@ class SecurityUtils {
                 continue;
             }
             
-            // Password validation
-            if (fieldRules.password) {
-                const validation = this.validatePassword(value);
-                if (!validation.isValid) {
-                    errors[field] = 'Password must be at least 8 characters with uppercase, lowercase, and numbers';
-                    continue;
-                }
-            }
-            
-            // Username validation
-            if (fieldRules.username && !this.isValidUsername(value)) {
-                errors[field] = 'Username must be 3-30 characters, letters, numbers, and underscores only';
-                continue;
-            }
-            
             // Length validation
             if (fieldRules.minLength && value.length < fieldRules.minLength) {
                 errors[field] = `${field} must be at least ${fieldRules.minLength} characters`;
@@ -0,0 +1,21 @@
+// Backend session API (/api/sessions) - the caller's signed-in devices
+import apiClient from './api';
+
+// Send a request and return the parsed { status, message, data } response
+const sessionsRequest = async (url, options = {}) => {
+    try {
+        const response = await apiClient.request(url, options);
+        return await response.json();
+    } catch (error) {
+        console.error('Sessions API error:', error);
+        return { status: 'error', message: 'Network error. Please check your connection.', data: null };
+    }
+};
+
+export const listSessions = () => sessionsRequest('/api/sessions');
+
+export const revokeSession = (sessionId) => sessionsRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+
+export const revokeOtherSessions = () => {
+    return sessionsRequest('/api/sessions/revoke-others', { method: 'POST', body: JSON.stringify({}) });
+};
@@ -9,10 +9,14 @@ if (!supabaseUrl || !supabaseAnonKey) {
   );
 }
 
+// Session mode: 'supabase' keeps tokens in supabase-js storage,
+// 'cookie' lets the backend hold them in httpOnly cookies
+export const AUTH_MODE = import.meta.env.VITE_AUTH_MODE === 'cookie' ? 'cookie' : 'supabase';
+
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
-    autoRefreshToken: true,
-    persistSession: true,
+    autoRefreshToken: AUTH_MODE !== 'cookie',
+    persistSession: AUTH_MODE !== 'cookie', // Never write tokens to localStorage in cookie mode
     detectSessionInUrl: true
   }
 });
@@ -0,0 +1,14 @@
+// Backend username availability API (/api/username-available) - used while registering
+import apiClient from './api';
+
+export const checkUsernameAvailable = async (username) => {
+    const params = new URLSearchParams({ u: username });
+
+    try {
+        const response = await apiClient.request(`/api/username-available?${params}`);
+        return await response.json();
+    } catch (error) {
+        console.error('Username API error:', error);
+        return { status: 'error', message: 'Network error. Please check your connection.', data: null };
+    }
+};
@@ -5,6 +5,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/',
+  html: {
+    // Placeholder on every script/style tag in dist/index.html - the backend swaps in a per-request nonce
+    cspNonce: '__CSP_NONCE__'
+  },
   server: {
     host: true,
     port: 5173,
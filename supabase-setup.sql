@@ -124,10 +124,117 @@ LEFT JOIN auth.users u ON p.id = u.id;
 GRANT SELECT ON public.user_profiles TO authenticated;
 GRANT SELECT ON public.user_profiles TO anon;
 
+-- 7. ROLES
 -- ==================================================
--- OPTIONAL: Activity Logging (Uncomment if needed)
+-- Roles: user, moderator, admin (see backend/config/roles.js)
+-- A role in auth.users.raw_app_meta_data->>'role' (service role only) takes precedence
+ALTER TABLE public.profiles
+    ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'moderator', 'admin'));
+
+CREATE INDEX IF NOT EXISTS profiles_role_idx ON public.profiles(role);
+
+-- Users may only create their own profile with the default role
+DROP POLICY IF EXISTS "Users can insert their own profile" ON public.profiles;
+CREATE POLICY "Users can insert their own profile" ON public.profiles
+    FOR INSERT WITH CHECK (auth.uid() = id AND role = 'user');
+
+-- Signed-in users cannot change roles (their own or anyone's) through the API
+-- The service role and the SQL editor can
+CREATE OR REPLACE FUNCTION public.prevent_role_escalation()
+RETURNS trigger AS $$
+BEGIN
+    IF NEW.role IS DISTINCT FROM OLD.role AND COALESCE(auth.role(), '') IN ('authenticated', 'anon') THEN
+        RAISE EXCEPTION 'Changing roles is not allowed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_profiles_role_escalation ON public.profiles;
+CREATE TRIGGER prevent_profiles_role_escalation
+    BEFORE UPDATE ON public.profiles
+    FOR EACH ROW EXECUTE FUNCTION public.prevent_role_escalation();
+
+-- Make the first administrator (run in the SQL editor):
+-- UPDATE public.profiles SET role = 'admin' WHERE email = 'you@example.com';
+
+-- 8. ACTIVE SESSIONS
+-- ==================================================
+-- Device details for each auth session (GET /api/sessions)
+-- auth.sessions only sees the backend's IP and user agent, so the backend records the
+-- client's at login / token refresh. Rows go away with the session they describe
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+    session_id UUID REFERENCES auth.sessions(id) ON DELETE CASCADE PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_id_idx ON public.user_sessions(user_id);
+
+ALTER TABLE public.user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- A token may only describe the session it belongs to
+CREATE POLICY "Users can view their own sessions" ON public.user_sessions
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can record their current session" ON public.user_sessions
+    FOR INSERT WITH CHECK (auth.uid() = user_id AND session_id = (auth.jwt() ->> 'session_id')::uuid);
+
+CREATE POLICY "Users can update their current session" ON public.user_sessions
+    FOR UPDATE USING (auth.uid() = user_id AND session_id = (auth.jwt() ->> 'session_id')::uuid);
+
+-- The caller's live sessions, including ones the backend never saw (recorded details win)
+CREATE OR REPLACE FUNCTION public.list_user_sessions()
+RETURNS TABLE(
+    id UUID,
+    ip_address TEXT,
+    user_agent TEXT,
+    aal TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    last_seen_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    SELECT
+        s.id,
+        host(COALESCE(us.ip_address, s.ip)),
+        COALESCE(us.user_agent, s.user_agent),
+        s.aal::text,
+        s.created_at,
+        GREATEST(us.last_seen_at, s.refreshed_at AT TIME ZONE 'UTC', s.updated_at, s.created_at)
+    FROM auth.sessions s
+    LEFT JOIN public.user_sessions us ON us.session_id = s.id
+    WHERE s.user_id = auth.uid()
+      AND (s.not_after IS NULL OR s.not_after > NOW())
+    ORDER BY 6 DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = '';
+
+-- End one of the caller's sessions (its refresh tokens are deleted with it)
+CREATE OR REPLACE FUNCTION public.revoke_user_session(target_session_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    revoked INTEGER;
+BEGIN
+    DELETE FROM auth.sessions
+    WHERE auth.sessions.id = target_session_id AND auth.sessions.user_id = auth.uid();
+
+    GET DIAGNOSTICS revoked = ROW_COUNT;
+    RETURN revoked > 0;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = '';
+
+REVOKE EXECUTE ON FUNCTION public.list_user_sessions() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.revoke_user_session(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.list_user_sessions() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_user_session(UUID) TO authenticated;
+
+-- 9. ACCOUNT ACTIVITY
 -- ==================================================
-/*
+-- Security activity per user (GET /api/activity): sign-ins, failed logins, password,
+-- profile, MFA and session changes. Written by the backend with the service role only -
+-- there is no insert policy, so users cannot forge or delete entries
 CREATE TABLE IF NOT EXISTS public.user_activity (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
@@ -141,18 +248,43 @@ CREATE TABLE IF NOT EXISTS public.user_activity (
 
 ALTER TABLE public.user_activity ENABLE ROW LEVEL SECURITY;
 
+DROP POLICY IF EXISTS "Users can view their own activity" ON public.user_activity;
 CREATE POLICY "Users can view their own activity" ON public.user_activity
     FOR SELECT USING (auth.uid() = user_id);
 
-CREATE INDEX IF NOT EXISTS user_activity_user_id_idx ON public.user_activity(user_id);
-CREATE INDEX IF NOT EXISTS user_activity_created_at_idx ON public.user_activity(created_at);
-*/
+CREATE INDEX IF NOT EXISTS user_activity_user_id_created_at_idx ON public.user_activity(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS user_activity_type_idx ON public.user_activity(activity_type);
+
+-- 10. PROFILE DETAILS
+-- ==================================================
+-- Editable through PATCH /api/profile, which also checks avatar hosts (AVATAR_ALLOWED_HOSTS)
+-- These constraints cover direct updates through the Supabase API
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS bio TEXT;
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_full_name_length;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_full_name_length
+    CHECK (full_name IS NULL OR char_length(full_name) <= 100);
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_bio_length;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_bio_length
+    CHECK (bio IS NULL OR char_length(bio) <= 300);
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_avatar_url_https;
+ALTER TABLE public.profiles ADD CONSTRAINT profiles_avatar_url_https
+    CHECK (avatar_url IS NULL OR avatar_url LIKE 'https://%');
 
 -- ==================================================
 -- SETUP COMPLETE!
 -- Next steps:
 -- 1. Go to Authentication → Settings
 -- 2. Set Site URL to: http://localhost:5173
--- 3. Update your .env files with Supabase credentials
--- 4. Start your application servers
+-- 3. Add http://localhost:5173/reset-password and http://localhost:5173/auth/confirm
+--    to Authentication → URL Configuration → Redirect URLs
+-- 4. (Optional) In Authentication → Email Templates, link to
+--    Reset Password: {{ .SiteURL }}/reset-password?token_hash={{ .TokenHash }}&type=recovery
+--    Confirm signup: {{ .SiteURL }}/auth/confirm?token_hash={{ .TokenHash }}&type=signup
+--    so the backend verifies the tokens server-side
+-- 5. Make sure Authentication → Multi-Factor → TOTP is enabled (on by default)
+-- 6. Update your .env files with Supabase credentials
+-- 7. Start your application servers
 -- ==================================================
\ No newline at end of file